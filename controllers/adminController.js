@@ -1,37 +1,489 @@
 // Admin Controller for IoT Charging Device Management
+import { db } from "../models/firebase.js";
+import { collection, doc, getDoc, query, where, getDocs } from "firebase/firestore";
+import { PointsLedger, InsufficientPointsError } from "../models/pointsLedger.js";
+import { TransactionModel } from "../models/transactionModel.js";
+import { SectionModel } from "../models/sectionModel.js";
+import { getSocketState } from "../utils/gpioControl.js";
+import { getSockets, getEnabledSockets } from "../utils/socketRegistry.js";
+import { resolveTariff, pointLimits } from "../utils/tariffEngine.js";
+import { getRemainingSeconds } from "../utils/chargingWatchdog.js";
+import { endSession } from "../utils/chargingSession.js";
+import { getMeterSummary } from "../utils/powerMeter.js";
+import { parseDateKey, dayBounds } from "../utils/campusTime.js";
+import { sessionStore, sessionKey } from "../utils/sessionStore.js";
+import { recordAudit, AUDIT_ACTIONS } from "../utils/audit.js";
+
+// Largest single top-up/deduction an admin can make in one request
+const MAX_POINTS_ADJUSTMENT = 10000;
+
+/**
+ * Validate a points adjustment request body
+ * @returns {Object} - { delta, reason, reference } or { error }
+ */
+function parseAdjustment(body) {
+  const delta = Number(body.delta);
+  const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+  const reference = typeof body.reference === "string" && body.reference.trim() ? body.reference.trim() : null;
+
+  if (!Number.isInteger(delta) || delta === 0) {
+    return { error: "Delta must be a non-zero whole number" };
+  }
+  if (Math.abs(delta) > MAX_POINTS_ADJUSTMENT) {
+    return { error: `Delta cannot exceed ${MAX_POINTS_ADJUSTMENT} points` };
+  }
+  if (!reason) {
+    return { error: "A reason is required" };
+  }
+
+  return { delta, reason, reference };
+}
 
 
 export const chargingStation = (req, res) => {
-  res.render("charging-station");
-};
-
-// API endpoint to simulate student data fetch (will connect to Firebase later)
-export const getStudentInfo = async (req, res) => {
-  const { studentId } = req.params;
-  
-  // Mock data - replace with Firebase later
-  const mockStudentData = {
-    name: "Lans Lorence Hernandez",
-    studentId: studentId,
-    points: 150,
-    lastUsed: "2025-10-20"
-  };
-  
-  res.json(mockStudentData);
-};
-
-// API endpoint to process charging session (will connect to Firebase later)
-export const processCharging = async (req, res) => {
-  const { studentId, pointsToSpend, socketNumber } = req.body;
-  
-  // Mock response - replace with actual Firebase deduction later
-  const response = {
-    success: true,
-    message: "Charging session started",
-    remainingPoints: 150 - pointsToSpend,
-    socket: socketNumber,
-    duration: pointsToSpend * 2 // 2 minutes per point (example)
-  };
-  
-  res.json(response);
+  res.render("charging-station", {
+    kiosk: Boolean(req.session.kiosk),
+    kioskExpiresAt: req.session.kioskExpiresAt || null
+  });
+};
+
+// Sockets students can choose from on the kiosk, with live occupancy
+export const listSockets = async (req, res) => {
+  try {
+    const activeTransactions = await TransactionModel.getInProgressTransactions();
+
+    const sockets = getEnabledSockets().map(({ id, label, type }) => {
+      const session = activeTransactions.find(txn => Number(txn.socketNumber) === id) || null;
+      const tariff = resolveTariff(type);
+
+      return {
+        id,
+        label,
+        type,
+        tariff: { ...tariff, ...pointLimits(tariff) },
+        state: session ? "busy" : "available",
+        owner: session ? {
+          studentName: session.studentName || null,
+          isYou: session.rfid === req.session?.rfid
+        } : null,
+        expectedEndTime: session ? session.expectedEndTime : null,
+        remainingSeconds: session ? getRemainingSeconds(session) : null
+      };
+    });
+
+    res.json({ success: true, sockets });
+  } catch (err) {
+    console.error("Error listing sockets:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+export const adminDashboard = (req, res) => {
+  res.render("admin-dashboard");
+};
+
+export const adminStudentPage = (req, res) => {
+  res.render("admin-student", { rfid: req.params.rfid });
+};
+
+// Parse a YYYY-MM-DD query value into epoch seconds (start or end of that campus day)
+function parseDateParam(value, endOfDay = false) {
+  const dateKey = parseDateKey(value);
+  if (!dateKey) return null;
+  const { start, end } = dayBounds(dateKey);
+  return Math.floor((endOfDay ? end : start).getTime() / 1000);
+}
+
+// ============ POINTS ADMINISTRATION ============
+
+/**
+ * Top up or deduct a single student's points (admin only)
+ */
+export const adjustStudentPoints = async (req, res) => {
+  const { rfid } = req.body;
+  const adjustment = parseAdjustment(req.body);
+
+  if (!rfid) {
+    return res.status(400).json({ success: false, error: "RFID is required" });
+  }
+  if (adjustment.error) {
+    return res.status(400).json({ success: false, error: adjustment.error });
+  }
+
+  try {
+    const result = await PointsLedger.adjust(rfid, adjustment.delta, {
+      reason: adjustment.reason,
+      sourceType: "admin-adjustment",
+      sourceId: adjustment.reference,
+      actor: PointsLedger.actorFromRequest(req)
+    });
+
+    await recordAudit(AUDIT_ACTIONS.POINTS_ADJUSTED, {
+      req,
+      target: { type: "student", id: rfid },
+      before: { points: result.balanceBefore },
+      after: { points: result.balanceAfter },
+      details: { delta: adjustment.delta, reason: adjustment.reason, reference: adjustment.reference, entryId: result.entryId }
+    });
+
+    res.json({
+      success: true,
+      rfid,
+      delta: adjustment.delta,
+      entryId: result.entryId,
+      previousBalance: result.balanceBefore,
+      newBalance: result.balanceAfter
+    });
+  } catch (err) {
+    if (err instanceof InsufficientPointsError) {
+      return res.status(400).json({ success: false, error: "Deduction would make the balance negative" });
+    }
+    if (err.message === "Student not found") {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    console.error("Error adjusting student points:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Credit or deduct points for every student in a section (admin only)
+ */
+export const bulkAdjustPoints = async (req, res) => {
+  const { year } = req.body;
+  const section = SectionModel.normalizeName(req.body.section);
+  const adjustment = parseAdjustment(req.body);
+
+  if (!section) {
+    return res.status(400).json({ success: false, error: "Section is required" });
+  }
+  if (adjustment.error) {
+    return res.status(400).json({ success: false, error: adjustment.error });
+  }
+
+  try {
+    const constraints = [where("section", "==", section)];
+    if (year) {
+      constraints.push(where("year", "==", year));
+    }
+    const querySnapshot = await getDocs(query(collection(db, "students"), ...constraints));
+
+    if (querySnapshot.empty) {
+      return res.status(404).json({ success: false, error: "No students found in that section" });
+    }
+
+    const actor = PointsLedger.actorFromRequest(req);
+    const results = [];
+
+    // Sequential so one failing student does not abort the rest
+    for (const studentDoc of querySnapshot.docs) {
+      try {
+        const result = await PointsLedger.adjust(studentDoc.id, adjustment.delta, {
+          reason: adjustment.reason,
+          sourceType: "admin-bulk-adjustment",
+          sourceId: adjustment.reference,
+          actor
+        });
+        results.push({ rfid: studentDoc.id, success: true, previousBalance: result.balanceBefore, newBalance: result.balanceAfter });
+      } catch (err) {
+        results.push({ rfid: studentDoc.id, success: false, error: err.message });
+      }
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    const changed = results.filter(r => r.success);
+
+    await recordAudit(AUDIT_ACTIONS.POINTS_BULK_ADJUSTED, {
+      req,
+      target: { type: "section", id: section },
+      before: { points: Object.fromEntries(changed.map(r => [r.rfid, r.previousBalance])) },
+      after: { points: Object.fromEntries(changed.map(r => [r.rfid, r.newBalance])) },
+      details: { year: year || null, delta: adjustment.delta, reason: adjustment.reason, reference: adjustment.reference, failed: results.length - succeeded }
+    });
+
+    res.json({
+      success: true,
+      section,
+      year: year || null,
+      delta: adjustment.delta,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (err) {
+    console.error("Error bulk adjusting points:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// ============ ADMIN CONSOLE ============
+
+/**
+ * Search students by name, email, RFID or section (admin only)
+ */
+export const searchStudents = async (req, res) => {
+  try {
+    const term = (req.query.q || "").toString().trim().toLowerCase();
+    const querySnapshot = await getDocs(collection(db, "students"));
+    const students = [];
+
+    querySnapshot.forEach((studentDoc) => {
+      const data = studentDoc.data();
+      const haystack = [data.name, data.email, data.rfid, data.section]
+        .filter(Boolean)
+        .join(" ")
+        .toLowerCase();
+
+      if (!term || haystack.includes(term)) {
+        students.push({
+          rfid: studentDoc.id,
+          name: data.name || null,
+          email: data.email || null,
+          section: data.section || null,
+          year: data.year || null,
+          points: data.points || 0,
+          role: data.role || "user",
+          lastUsed: data.lastUsed || null
+        });
+      }
+    });
+
+    students.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+
+    const limit = parseInt(req.query.limit) || 50;
+    res.json({ success: true, total: students.length, students: students.slice(0, limit) });
+  } catch (err) {
+    console.error("Error searching students:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Full detail for one student: profile, statement, transactions, attendance (admin only)
+ */
+export const getStudentDetail = async (req, res) => {
+  try {
+    const { rfid } = req.params;
+    const studentDoc = await getDoc(doc(db, "students", rfid));
+
+    if (!studentDoc.exists()) {
+      return res.status(404).json({ success: false, error: "Student not found" });
+    }
+
+    const { passwordHash, pinHash, ...student } = studentDoc.data();
+
+    await PointsLedger.ensureOpeningEntry(rfid);
+    const [statement, transactions, stats, attendanceSnapshot] = await Promise.all([
+      PointsLedger.getStatement(rfid, student.points || 0, 50),
+      TransactionModel.getStudentTransactions(rfid, 20),
+      TransactionModel.getStudentStats(rfid),
+      getDocs(query(collection(db, "attendance"), where("rfid", "==", rfid)))
+    ]);
+
+    const attendance = attendanceSnapshot.docs
+      .map(attendanceDoc => ({ id: attendanceDoc.id, ...attendanceDoc.data() }))
+      .sort((a, b) => (b.timestamp?.seconds || 0) - (a.timestamp?.seconds || 0))
+      .slice(0, 20);
+
+    res.json({ success: true, student, statement, transactions, stats, attendance });
+  } catch (err) {
+    console.error("Error getting student detail:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Live relay state and active session for every socket (admin only)
+ */
+export const getSocketStatus = async (req, res) => {
+  try {
+    const activeTransactions = await TransactionModel.getInProgressTransactions();
+
+    const sockets = getSockets().map((socket) => {
+      const socketNumber = socket.id;
+      const session = activeTransactions.find(txn => Number(txn.socketNumber) === socketNumber) || null;
+      const relay = getSocketState(socketNumber);
+
+      return {
+        socketNumber,
+        label: socket.label,
+        type: socket.type,
+        gpioLine: socket.gpioLine,
+        enabled: socket.enabled,
+        relay: relay === null ? "unknown" : (relay ? "on" : "off"),
+        session: session ? {
+          transactionId: session.id,
+          rfid: session.rfid,
+          studentName: session.studentName,
+          socketType: session.socketType,
+          pointsUsed: session.pointsUsed,
+          startTime: session.startTime,
+          expectedEndTime: session.expectedEndTime,
+          remainingSeconds: getRemainingSeconds(session),
+          meter: getMeterSummary(session)
+        } : null
+      };
+    });
+
+    res.json({ success: true, sockets });
+  } catch (err) {
+    console.error("Error getting socket status:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Force-stop an in-progress session, refunding unused time (admin only)
+ */
+export const forceStopSession = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const transaction = await TransactionModel.getTransactionById(transactionId);
+
+    if (!transaction) {
+      return res.status(404).json({ success: false, error: "Transaction not found" });
+    }
+    if (transaction.status !== "in-progress") {
+      return res.status(400).json({ success: false, error: `Transaction is already ${transaction.status}` });
+    }
+
+    const updatedTransaction = await endSession(
+      transactionId,
+      "cancelled",
+      PointsLedger.actorFromRequest(req),
+      { endReason: "admin-force-stop" }
+    );
+
+    await recordAudit(AUDIT_ACTIONS.SESSION_FORCE_STOPPED, {
+      req,
+      target: { type: "transaction", id: transactionId },
+      before: { status: transaction.status },
+      after: { status: updatedTransaction.status, pointsRefunded: updatedTransaction.pointsRefunded || 0 },
+      details: { rfid: transaction.rfid, socketNumber: transaction.socketNumber }
+    });
+
+    res.json({ success: true, transaction: updatedTransaction });
+  } catch (err) {
+    console.error("Error force-stopping session:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Browse all transactions with filters (admin only)
+ * Query: status, rfid, socket, from, to (YYYY-MM-DD), limit
+ */
+export const listTransactions = async (req, res) => {
+  try {
+    const { status, rfid, socket, from, to } = req.query;
+    const fromSeconds = parseDateParam(from);
+    const toSeconds = parseDateParam(to, true);
+    const limit = parseInt(req.query.limit) || 200;
+
+    // Filtering happens in memory, matching the rest of the app, to avoid composite indexes
+    const transactions = (await TransactionModel.getAllTransactions(Number.MAX_SAFE_INTEGER)).filter((txn) => {
+      const started = txn.startTime?.seconds || 0;
+      if (status && txn.status !== status) return false;
+      if (rfid && txn.rfid !== rfid) return false;
+      if (socket && Number(txn.socketNumber) !== Number(socket)) return false;
+      if (fromSeconds !== null && started < fromSeconds) return false;
+      if (toSeconds !== null && started > toSeconds) return false;
+      return true;
+    });
+
+    const summary = {
+      count: transactions.length,
+      pointsUsed: transactions.reduce((sum, txn) => sum + (txn.pointsUsed || 0), 0),
+      pointsRefunded: transactions.reduce((sum, txn) => sum + (txn.pointsRefunded || 0), 0),
+      energyWh: Math.round(transactions.reduce((sum, txn) => sum + (txn.energyWh || 0), 0) * 100) / 100
+    };
+
+    res.json({ success: true, summary, transactions: transactions.slice(0, limit) });
+  } catch (err) {
+    console.error("Error listing transactions:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Review attendance records with filters (admin only)
+ * Query: from, to (YYYY-MM-DD), section, year, rfid
+ */
+export const listAttendance = async (req, res) => {
+  try {
+    const { from, to, year, rfid } = req.query;
+    const section = SectionModel.normalizeName(req.query.section);
+
+    const constraints = [];
+    if (section) constraints.push(where("section", "==", section));
+    if (year) constraints.push(where("year", "==", year));
+    if (rfid) constraints.push(where("rfid", "==", rfid));
+
+    const attendanceRef = collection(db, "attendance");
+    const querySnapshot = await getDocs(constraints.length ? query(attendanceRef, ...constraints) : attendanceRef);
+
+    // Attendance `date` keys are YYYY-MM-DD so they compare correctly as strings
+    const attendance = querySnapshot.docs
+      .map(attendanceDoc => ({ id: attendanceDoc.id, ...attendanceDoc.data() }))
+      .filter(record => (!from || record.date >= from) && (!to || record.date <= to))
+      .sort((a, b) => (b.timestamp?.seconds || 0) - (a.timestamp?.seconds || 0));
+
+    res.json({
+      success: true,
+      summary: {
+        count: attendance.length,
+        students: new Set(attendance.map(record => record.rfid)).size,
+        pointsAwarded: attendance.reduce((sum, record) => sum + (record.pointsAdded || 0), 0)
+      },
+      attendance
+    });
+  } catch (err) {
+    console.error("Error listing attendance:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+
+/**
+ * Signed-in web and kiosk sessions, with the admin's own marked as current
+ */
+export const listLoginSessions = async (req, res) => {
+  try {
+    const currentId = sessionKey(req.sessionID);
+    const sessions = (await sessionStore.listActive()).map(entry => ({ ...entry, current: entry.id === currentId }));
+    res.json({ success: true, sessions });
+  } catch (err) {
+    console.error("Error listing login sessions:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Sign out one session; its owner is sent back to the login page on their next request
+ */
+export const revokeLoginSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id === sessionKey(req.sessionID)) {
+      return res.status(400).json({ success: false, error: "Use Logout to end your own session" });
+    }
+
+    const revoked = await sessionStore.revoke(id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: "Session not found" });
+    }
+
+    await recordAudit(AUDIT_ACTIONS.LOGIN_REVOKED, {
+      req,
+      target: { type: "student", id: revoked.userId },
+      before: { signedIn: true },
+      after: { signedIn: false },
+      details: { email: revoked.email, role: revoked.role, kiosk: revoked.kiosk }
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error revoking login session:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
 };
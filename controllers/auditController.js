@@ -0,0 +1,126 @@
+// Audit Controller: search, export and verify the audit log (admin only)
+import { AuditLogModel } from "../models/auditLogModel.js";
+import { EXPORT_FORMATS, sendExport, formatTimestamp } from "../utils/exportWriter.js";
+import { parseDateKey, dayBounds } from "../utils/campusTime.js";
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+/**
+ * Validate audit log filters
+ * Query: action (exact or "prefix."), actor (id or email), targetType, target, from, to (YYYY-MM-DD)
+ * @returns {Object} - Filters for AuditLogModel.search, or { error }
+ */
+function parseAuditQuery(req) {
+  const from = req.query.from ? parseDateKey(req.query.from) : null;
+  const to = req.query.to ? parseDateKey(req.query.to) : null;
+  if ((req.query.from && !from) || (req.query.to && !to)) {
+    return { error: "from and to must be YYYY-MM-DD" };
+  }
+
+  return {
+    action: req.query.action || null,
+    actorId: req.query.actor || null,
+    targetType: req.query.targetType || null,
+    targetId: req.query.target || null,
+    from: from ? dayBounds(from).start : null,
+    to: to ? dayBounds(to).end : null,
+    fromKey: from,
+    toKey: to
+  };
+}
+
+/**
+ * Audit entries, newest first
+ * Query: filters as above, limit (default 200, max 1000)
+ */
+export const listAuditLog = async (req, res) => {
+  const filters = parseAuditQuery(req);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  try {
+    const entries = await AuditLogModel.search({ ...filters, limit });
+    res.json({ success: true, entries });
+  } catch (err) {
+    console.error("Error listing audit log:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Download matching audit entries as CSV or XLSX, oldest first, with their hashes
+ * Query: format (csv|xlsx) plus the list filters
+ */
+export const exportAuditLog = async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+  }
+  const filters = parseAuditQuery(req);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+
+  try {
+    const entries = (await AuditLogModel.search(filters)).reverse();
+    const json = value => (value === null || value === undefined ? "" : JSON.stringify(value));
+
+    await sendExport(res, {
+      format,
+      filename: ["audit-log", filters.fromKey, filters.toKey].filter(Boolean).join("_"),
+      sheetName: "Audit Log",
+      columns: [
+        { header: "Seq", key: "seq", width: 8 },
+        { header: "Time", key: "time", width: 20 },
+        { header: "Actor", key: "actor", width: 28 },
+        { header: "Role", key: "role", width: 10 },
+        { header: "IP", key: "ip" },
+        { header: "Action", key: "action", width: 24 },
+        { header: "Target", key: "target", width: 24 },
+        { header: "Before", key: "before", width: 30 },
+        { header: "After", key: "after", width: 30 },
+        { header: "Details", key: "details", width: 40 },
+        { header: "Previous Hash", key: "prevHash", width: 66 },
+        { header: "Hash", key: "hash", width: 66 }
+      ],
+      rows: entries.map(entry => ({
+        seq: entry.seq,
+        time: formatTimestamp(entry.at),
+        actor: entry.actor?.email || entry.actor?.id || "",
+        role: entry.actor?.role || "",
+        ip: entry.ip || "",
+        action: entry.action,
+        target: entry.target ? `${entry.target.type}:${entry.target.id}` : "",
+        before: json(entry.before),
+        after: json(entry.after),
+        details: json(entry.details),
+        prevHash: entry.prevHash,
+        hash: entry.hash
+      }))
+    });
+  } catch (err) {
+    console.error("Error exporting audit log:", err);
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Recompute the hash chain and report the first broken entry, if any
+ */
+export const verifyAuditLog = async (req, res) => {
+  try {
+    const result = await AuditLogModel.verifyChain();
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("Error verifying audit log:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
@@ -1,10 +1,37 @@
 import { db, auth } from "../models/firebase.js";
-import { collection, doc, getDoc, setDoc, updateDoc, query, where, getDocs } from "firebase/firestore";
+import { collection, doc, getDoc, setDoc, query, where, getDocs, runTransaction } from "firebase/firestore";
 import bcrypt from "bcrypt";
 import { authAdmin, adminAvailable } from "../models/firebaseAdmin.js";
 import { createUserWithEmailAndPassword } from "firebase/auth";
 import { TransactionModel } from "../models/transactionModel.js";
-import { turnOnSocket, turnOffSocket } from "../utils/gpioControl.js";
+import { PointsLedger, InsufficientPointsError } from "../models/pointsLedger.js";
+import { SocketBusyError } from "../models/socketLockModel.js";
+import { getSocket } from "../utils/socketRegistry.js";
+import { auditActor } from "../utils/audit.js";
+import { resolveTariff, quoteDuration, TariffError } from "../utils/tariffEngine.js";
+import { getRemainingSeconds } from "../utils/chargingWatchdog.js";
+import { beginSession, endSession } from "../utils/chargingSession.js";
+import { publish, EVENTS } from "../utils/liveEvents.js";
+import { consumeScan, peekScan, isManualEntryAllowed } from "../utils/rfidReader.js";
+import { stationFor } from "../utils/kioskStations.js";
+import { resolveAttendance, sessionsOn, sessionState, getSchedules, getScheduledSections } from "../utils/attendanceSchedule.js";
+import { dateKeyFor, parseDateKey, campusTime, dayBounds, formatCampusTime } from "../utils/campusTime.js";
+import { sendExport, formatTimestamp, EXPORT_FORMATS } from "../utils/exportWriter.js";
+import { SectionModel } from "../models/sectionModel.js";
+import { ReceiptModel } from "../models/receiptModel.js";
+import { TransferModel } from "../models/transferModel.js";
+import { recordFailure, clearLimits } from "../utils/rateLimiter.js";
+import { config } from "../utils/config.js";
+import { rotateCsrfToken } from "../utils/security.js";
+
+// Limits that wrong passwords count against (see config/rateLimits.json)
+const LOGIN_LIMITS = ["loginIp", "loginAccount"];
+
+// Credentials never leave the server; clients only learn whether a kiosk PIN is set
+function toStudentResponse(data) {
+  const { passwordHash, pinHash, pinFailedAttempts, pinLockedUntil, ...student } = data;
+  return { ...student, hasPin: Boolean(pinHash) };
+}
 
 export const registerUser = async (req, res) => {
   const { name, email, password, rfid, section, year, contact } = req.body;
@@ -30,6 +57,15 @@ export const registerUser = async (req, res) => {
       return res.redirect("/register?error=" + encodeURIComponent("Email already registered"));
     }
 
+    // Section must be one from the sections list; its year wins over the one picked
+    let sectionRecord = null;
+    if (section) {
+      sectionRecord = await SectionModel.get(section);
+      if (!sectionRecord) {
+        return res.redirect("/register?error=" + encodeURIComponent("Please choose a section from the list"));
+      }
+    }
+
     // Create Auth user first (prefer Admin SDK which allows setting uid to RFID)
     let createdAuthUser = null;
     if (adminAvailable && authAdmin) {
@@ -62,8 +98,8 @@ export const registerUser = async (req, res) => {
         name,
         email,
         rfid,
-        section: section || null,
-        year: year || null,
+        section: sectionRecord ? sectionRecord.name : null,
+        year: (sectionRecord && sectionRecord.year) || year || null,
         contact: contact || null,
         passwordHash: hashed,
         authUid: createdAuthUser.uid,
@@ -85,6 +121,13 @@ export const registerUser = async (req, res) => {
       return res.redirect("/register?error=" + encodeURIComponent("Failed to save user data, please try again."));
     }
 
+    // Record the starting balance so it can be re-derived from the ledger
+    try {
+      await PointsLedger.ensureOpeningEntry(rfid);
+    } catch (err) {
+      console.error("Failed to write opening ledger entry:", err);
+    }
+
     res.redirect("/login?success=1");
   } catch (err) {
     console.error("Register error:", err);
@@ -94,36 +137,55 @@ export const registerUser = async (req, res) => {
 
 export const loginUser = async (req, res) => {
   const { email, password } = req.body;
+  const rejectLogin = async () => {
+    await recordFailure(req, LOGIN_LIMITS);
+    return res.redirect("/login?error=" + encodeURIComponent("Invalid email or password"));
+  };
+
   try {
     // Find user by email
     const q = query(collection(db, "students"), where("email", "==", email));
     const querySnapshot = await getDocs(q);
     if (querySnapshot.empty) {
-      return res.redirect("/login?error=" + encodeURIComponent("Invalid email or password"));
+      return rejectLogin();
     }
 
     let userDoc = null;
     querySnapshot.forEach(docSnap => { userDoc = { id: docSnap.id, ...docSnap.data() }; });
 
     if (!userDoc) {
-      return res.redirect("/login?error=" + encodeURIComponent("Invalid email or password"));
+      return rejectLogin();
     }
 
-    const match = await bcrypt.compare(password, userDoc.passwordHash || "");
+    const match = await bcrypt.compare(password || "", userDoc.passwordHash || "");
     if (!match) {
-      return res.redirect("/login?error=" + encodeURIComponent("Invalid email or password"));
-    }
-
-    // Authenticated
-  req.session.userId = userDoc.id;
-  req.session.rfid = userDoc.rfid;
-  req.session.role = userDoc.role || "user";
-  req.session.email = userDoc.email;
-  req.session.isAuthenticated = true;
-  // Set session duration (24 hours)
-  if (req.session.cookie) req.session.cookie.maxAge = 24 * 60 * 60 * 1000;
-  // Always redirect to user dashboard
-  res.redirect("/user-dashboard");
+      return rejectLogin();
+    }
+
+    // The account's failed attempts are forgiven; the address keeps its count
+    await clearLimits(req, ["loginAccount"]);
+
+    // Authenticated: new session id and CSRF secret, so nothing issued before sign-in carries over
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error("Login session error:", err);
+        return res.redirect("/login?error=" + encodeURIComponent("Login failed"));
+      }
+
+      req.session.userId = userDoc.id;
+      req.session.rfid = userDoc.rfid;
+      req.session.role = userDoc.role || "user";
+      req.session.email = userDoc.email;
+      req.session.isAuthenticated = true;
+      req.session.signedInAt = Date.now();
+      // Session duration comes from config (SESSION_MAX_AGE)
+      req.session.cookie.maxAge = config.session.maxAgeMs;
+      rotateCsrfToken(req, res);
+
+      // Admins and teachers land on their consoles, everyone else on the user dashboard
+      const homePages = { admin: "/admin", teacher: "/teacher" };
+      res.redirect(homePages[req.session.role] || "/user-dashboard");
+    });
   } catch (err) {
     console.error("Login error:", err);
     res.redirect("/login?error=" + encodeURIComponent(err.message || "Login failed"));
@@ -136,8 +198,10 @@ export const getStudentByRFID = async (req, res) => {
     const docRef = doc(db, "students", rfid);
     const docSnap = await getDoc(docRef);
     if (docSnap.exists()) {
-      res.json(docSnap.data());
+      res.json(toStudentResponse(docSnap.data()));
     } else {
+      // Unknown cards count towards the lookup lockout that stops RFID enumeration
+      await recordFailure(req, ["studentMissIp"]);
       res.status(404).json({ error: "Student not found" });
     }
   } catch (err) {
@@ -145,6 +209,27 @@ export const getStudentByRFID = async (req, res) => {
   }
 };
 
+/**
+ * The student whose card was just tapped at this kiosk, without using up the scan.
+ * Only the kiosk registered to the reader's station can see it.
+ */
+export const getScannedStudent = async (req, res) => {
+  const scan = peekScan(req.params.scanId, stationFor(req));
+  if (!scan) {
+    return res.status(410).json({ success: false, error: "Scan expired. Please tap your card again." });
+  }
+
+  try {
+    const docSnap = await getDoc(doc(db, "students", scan.rfid));
+    if (!docSnap.exists()) {
+      return res.status(404).json({ success: false, error: "Student not found" });
+    }
+    res.json(toStudentResponse(docSnap.data()));
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
 export const getCurrentStudent = async (req, res) => {
   try {
     const rfid = req.session && req.session.rfid;
@@ -152,7 +237,7 @@ export const getCurrentStudent = async (req, res) => {
     const docRef = doc(db, 'students', rfid);
     const docSnap = await getDoc(docRef);
     if (docSnap.exists()) {
-      return res.json(docSnap.data());
+      return res.json(toStudentResponse(docSnap.data()));
     }
     return res.status(404).json({ error: 'Student not found' });
   } catch (err) {
@@ -160,34 +245,93 @@ export const getCurrentStudent = async (req, res) => {
   }
 };
 
-export const addPoints = async (req, res) => {
-  const { rfid, points } = req.body;
+/**
+ * Get the logged-in student's points statement (every credit and debit)
+ */
+export const getPointsStatement = async (req, res) => {
   try {
-    const docRef = doc(db, "students", rfid);
-    await updateDoc(docRef, { points });
-    res.json({ success: true });
+    const rfid = req.session?.rfid;
+
+    if (!rfid) {
+      return res.status(401).json({ 
+        success: false, 
+        error: "Not authenticated" 
+      });
+    }
+
+    const studentDoc = await getDoc(doc(db, "students", rfid));
+    if (!studentDoc.exists()) {
+      return res.status(404).json({ 
+        success: false, 
+        error: "Student not found" 
+      });
+    }
+
+    // Students created before the ledger existed get their balance recorded once
+    await PointsLedger.ensureOpeningEntry(rfid);
+
+    const limit = parseInt(req.query.limit) || 100;
+    const statement = await PointsLedger.getStatement(rfid, studentDoc.data().points || 0, limit);
+
+    res.json({ 
+      success: true, 
+      ...statement
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error("Error getting points statement:", err);
+    res.status(500).json({ 
+      success: false, 
+      error: err.message 
+    });
   }
 };
 
 // ============ TRANSACTION ENDPOINTS ============
 
+// Only admins start and stop sessions on a student's behalf; it spends that student's points.
+// Everyone else, and anyone signed in through a kiosk PIN, acts on their own card only.
+function actsForOthers(req) {
+  return req.session.role === "admin" && !req.session.kiosk;
+}
+
 /**
  * Start a new charging session (create transaction)
  */
 export const startChargingSession = async (req, res) => {
   try {
-    const { rfid, pointsToSpend, socketType, socketNumber } = req.body;
+    if (!actsForOthers(req) && req.body.rfid && req.body.rfid !== req.session.rfid) {
+      return res.status(403).json({ 
+        success: false, 
+        error: "You can only start charging sessions for your own card" 
+      });
+    }
+    const rfid = actsForOthers(req) ? req.body.rfid : req.session.rfid;
+    const pointsToSpend = Number(req.body.pointsToSpend);
 
     // Validate required fields
-    if (!rfid || !pointsToSpend || !socketType || !socketNumber) {
+    if (!rfid || !pointsToSpend || !req.body.socketNumber) {
       return res.status(400).json({ 
         success: false, 
         error: "Missing required fields" 
       });
     }
 
+    // Socket must exist in the registry and be enabled; its label/type come from config, not the client
+    const socket = getSocket(req.body.socketNumber);
+    if (!socket) {
+      return res.status(400).json({ 
+        success: false, 
+        error: "Invalid socket" 
+      });
+    }
+    if (!socket.enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `${socket.label} is currently disabled` 
+      });
+    }
+    const socketNumber = socket.id;
+
     // Get student data
     const studentRef = doc(db, "students", rfid);
     const studentDoc = await getDoc(studentRef);
@@ -210,8 +354,9 @@ export const startChargingSession = async (req, res) => {
       });
     }
 
-    // Calculate expected end time (120 seconds per point = 2 minutes per point)
-    const durationSeconds = pointsToSpend * 120;
+    // Price the session with the tariff in effect now for this socket type
+    const tariff = resolveTariff(socket.type);
+    const durationSeconds = quoteDuration(tariff, pointsToSpend);
     const expectedEndTime = new Date(Date.now() + durationSeconds * 1000);
 
     // Create transaction
@@ -221,26 +366,51 @@ export const startChargingSession = async (req, res) => {
       email: studentData.email,
       pointsToSpend,
       socketNumber,
-      socketType,
-      socketNumber,
-      expectedEndTime
+      socketType: socket.label,
+      chargerType: socket.type,
+      expectedEndTime,
+      tariff,
+      actor: PointsLedger.actorFromRequest(req)
     });
 
     // Get updated student data
     const updatedStudentDoc = await getDoc(studentRef);
     const updatedStudentData = updatedStudentDoc.data();
 
-    // ✅ TURN GPIO HIGH
-    turnOnSocket(socketNumber);
+    // ✅ TURN GPIO HIGH - the server owns the session lifetime from here (watchdog + meter)
+    beginSession(transactionId, socketNumber, expectedEndTime, { actor: auditActor(req) });
+
+    // Tap + PIN kiosk sessions end as soon as charging starts; the watchdog takes it from here
+    const kioskSignedOut = Boolean(req.session.kiosk);
+    if (kioskSignedOut) {
+      req.session.destroy((err) => {
+        if (err) console.error("Failed to end kiosk session:", err);
+      });
+      res.clearCookie("connect.sid");
+    }
 
     res.json({ 
       success: true, 
       transactionId,
       remainingPoints: updatedStudentData.points,
       expectedDuration: durationSeconds,
+      expectedEndTime,
+      kioskSignedOut,
       message: "Charging session started successfully"
     });
   } catch (err) {
+    if (err instanceof InsufficientPointsError || err instanceof TariffError) {
+      return res.status(400).json({ 
+        success: false, 
+        error: err.message 
+      });
+    }
+    if (err instanceof SocketBusyError) {
+      return res.status(409).json({ 
+        success: false, 
+        error: "That socket is already in use. Please choose another one." 
+      });
+    }
     console.error("Error starting charging session:", err);
     res.status(500).json({ 
       success: false, 
@@ -265,31 +435,34 @@ export const stopChargingSession = async (req, res) => {
 
     const finalStatus = status === "cancelled" ? "cancelled" : "completed";
 
-    // Fetch the transaction to get socketNumber
     const activeTransaction = await TransactionModel.getTransactionById(transactionId);
     if (!activeTransaction) {
       return res.status(404).json({ success: false, error: "Transaction not found" });
     }
+    if (!actsForOthers(req) && activeTransaction.rfid !== req.session.rfid) {
+      return res.status(403).json({ success: false, error: "You can only stop your own charging session" });
+    }
+    // A stale or repeated stop must not touch the socket's power, which may belong to someone else now
+    if (activeTransaction.status !== "in-progress") {
+      return res.status(409).json({ success: false, error: "This charging session has already ended" });
+    }
 
-    const socketNumber = activeTransaction.socketNumber;
-
-    // Mark the transaction as completed/cancelled
-    const updatedTransaction = await TransactionModel.completeTransaction(
+    // ✅ TURN GPIO OFF and mark the transaction as completed/cancelled
+    const updatedTransaction = await endSession(
       transactionId,
-      finalStatus
+      finalStatus,
+      PointsLedger.actorFromRequest(req)
     );
 
-    // Get updated student data
+    // Get updated student data and the session's receipt
     const studentRef = doc(db, "students", updatedTransaction.rfid);
-    const studentDoc = await getDoc(studentRef);
+    const [studentDoc, receipt] = await Promise.all([getDoc(studentRef), ReceiptModel.get(transactionId)]);
     const studentData = studentDoc.data();
 
-    // ✅ TURN GPIO OFF
-    turnOffSocket(socketNumber);
-
     res.json({ 
       success: true, 
       transaction: updatedTransaction,
+      receipt,
       remainingPoints: studentData.points,
       message: `Charging session ${finalStatus} successfully`
     });
@@ -303,25 +476,28 @@ export const stopChargingSession = async (req, res) => {
 };
 
 /**
- * Get student's transaction history
+ * Get student's transaction history: charging sessions and point transfers
  */
 export const getStudentTransactionHistory = async (req, res) => {
   try {
-    const rfid = req.params.rfid || req.session?.rfid;
+    const { rfid, error, status } = await studentScope(req, req.params.rfid);
 
-    if (!rfid) {
-      return res.status(401).json({ 
+    if (error) {
+      return res.status(status).json({ 
         success: false, 
-        error: "Not authenticated" 
+        error 
       });
     }
 
     const transactions = await TransactionModel.getStudentTransactions(rfid);
     const stats = await TransactionModel.getStudentStats(rfid);
+    // Points sent to and received from classmates, listed alongside charging sessions
+    const transfers = await TransferModel.getForStudent(rfid);
 
     res.json({ 
       success: true, 
       transactions,
+      transfers,
       stats
     });
   } catch (err) {
@@ -338,12 +514,12 @@ export const getStudentTransactionHistory = async (req, res) => {
  */
 export const getActiveChargingSession = async (req, res) => {
   try {
-    const rfid = req.params.rfid || req.session?.rfid;
+    const { rfid, error, status } = await studentScope(req, req.params.rfid);
 
-    if (!rfid) {
-      return res.status(401).json({ 
+    if (error) {
+      return res.status(status).json({ 
         success: false, 
-        error: "Not authenticated" 
+        error 
       });
     }
 
@@ -351,7 +527,8 @@ export const getActiveChargingSession = async (req, res) => {
 
     res.json({ 
       success: true, 
-      activeTransaction
+      activeTransaction,
+      remainingSeconds: getRemainingSeconds(activeTransaction)
     });
   } catch (err) {
     console.error("Error getting active session:", err);
@@ -393,13 +570,208 @@ export const getAllTransactions = async (req, res) => {
 
 // ============ ATTENDANCE ENDPOINTS ============
 
+// Whose records the signed-in account may read: admins every section, teachers
+// their assigned sections and anyone else only their own records
+async function recordScope(req, requestedSection) {
+  const section = requestedSection ? SectionModel.normalizeName(requestedSection) : null;
+  const role = req.session.role;
+
+  if (role !== "admin" && role !== "teacher") {
+    return { sections: null, rfid: req.session.rfid, section };
+  }
+
+  const visible = await SectionModel.visibleSections(req);
+  if (visible && section && !visible.includes(section)) {
+    return { error: "You can only view sections assigned to you" };
+  }
+  return { sections: section ? [section] : visible, rfid: null, section };
+}
+
+/**
+ * Whose records a request for one student may read. Students (and kiosk sessions) always get
+ * their own, whatever `:rfid` says; teachers students in their sections; admins anyone.
+ * @param {Object} req - Express request
+ * @param {string} requestedRfid - Optional `:rfid` route parameter
+ * @returns {Promise<Object>} - { rfid } or { error, status }
+ */
+async function studentScope(req, requestedRfid) {
+  const ownRfid = req.session?.rfid;
+  const role = req.session?.role;
+
+  if (!requestedRfid || requestedRfid === ownRfid || req.session?.kiosk || (role !== "admin" && role !== "teacher")) {
+    return ownRfid ? { rfid: ownRfid } : { error: "Not authenticated", status: 401 };
+  }
+
+  const visible = await SectionModel.visibleSections(req);
+  if (visible) {
+    const studentDoc = await getDoc(doc(db, "students", requestedRfid));
+    const section = studentDoc.exists() ? SectionModel.normalizeName(studentDoc.data().section) : null;
+    if (!section || !visible.includes(section)) {
+      return { error: "You can only view students in sections assigned to you", status: 403 };
+    }
+  }
+  return { rfid: requestedRfid };
+}
+
+// Format and filters shared by the export endpoints (recordScope limits what each role gets)
+function parseExportQuery(req) {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` };
+  }
+
+  const from = req.query.from ? parseDateKey(req.query.from) : null;
+  const to = req.query.to ? parseDateKey(req.query.to) : null;
+  if ((req.query.from && !from) || (req.query.to && !to)) {
+    return { error: "from and to must be YYYY-MM-DD" };
+  }
+
+  return {
+    format,
+    from,
+    to,
+    rfid: req.query.rfid || null,
+    section: req.query.section ? SectionModel.normalizeName(req.query.section) : null,
+    year: req.query.year || null,
+    status: req.query.status || null,
+    socket: req.query.socket || null
+  };
+}
+
+// e.g. attendance_BSIT-1A_2025-10-01_2025-10-31
+function exportFilename(kind, filters) {
+  return [kind, filters.section, filters.year && `year-${filters.year}`, filters.rfid, filters.from, filters.to]
+    .filter(Boolean)
+    .join("_")
+    .replace(/[^\w.-]+/g, "-");
+}
+
+function handleExportError(res, err, what) {
+  console.error(`Error exporting ${what}:`, err);
+  if (res.headersSent) {
+    res.destroy(err);
+    return;
+  }
+  res.status(500).json({ success: false, error: err.message });
+}
+
+/**
+ * Download transactions as CSV or XLSX
+ * Query: format (csv|xlsx), from, to (YYYY-MM-DD), section, year, rfid, status, socket
+ */
+export const exportTransactions = async (req, res) => {
+  const filters = parseExportQuery(req);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+
+  try {
+    const scope = await recordScope(req, filters.section);
+    if (scope.error) {
+      return res.status(403).json({ success: false, error: scope.error });
+    }
+    filters.rfid = scope.rfid || filters.rfid;
+
+    const fromSeconds = filters.from ? Math.floor(dayBounds(filters.from).start.getTime() / 1000) : null;
+    const toSeconds = filters.to ? Math.floor(dayBounds(filters.to).end.getTime() / 1000) : null;
+
+    const transactions = filters.rfid
+      ? await TransactionModel.getStudentTransactions(filters.rfid, Number.MAX_SAFE_INTEGER)
+      : await TransactionModel.getAllTransactions(Number.MAX_SAFE_INTEGER);
+
+    // Transactions do not carry section or year, so look them up on the student
+    const students = new Map();
+    if (filters.rfid) {
+      const studentDoc = await getDoc(doc(db, "students", filters.rfid));
+      if (studentDoc.exists()) students.set(studentDoc.id, studentDoc.data());
+    } else {
+      const studentsSnapshot = await getDocs(collection(db, "students"));
+      studentsSnapshot.forEach(studentDoc => students.set(studentDoc.id, studentDoc.data()));
+    }
+
+    const rows = transactions
+      .filter((txn) => {
+        const started = txn.startTime?.seconds || 0;
+        const student = students.get(txn.rfid) || {};
+        if (filters.status && txn.status !== filters.status) return false;
+        if (filters.socket && Number(txn.socketNumber) !== Number(filters.socket)) return false;
+        if (scope.sections && !scope.sections.includes(SectionModel.normalizeName(student.section))) return false;
+        if (filters.year && String(student.year) !== String(filters.year)) return false;
+        if (fromSeconds !== null && started < fromSeconds) return false;
+        if (toSeconds !== null && started > toSeconds) return false;
+        return true;
+      })
+      .sort((a, b) => (a.startTime?.seconds || 0) - (b.startTime?.seconds || 0))
+      .map((txn) => {
+        const student = students.get(txn.rfid) || {};
+        return {
+          started: formatTimestamp(txn.startTime),
+          ended: formatTimestamp(txn.actualEndTime),
+          name: txn.studentName || student.name || "",
+          rfid: txn.rfid,
+          section: student.section || "",
+          year: student.year || "",
+          socket: txn.socketNumber,
+          socketType: txn.socketType || "",
+          status: txn.status,
+          pointsUsed: txn.pointsUsed || 0,
+          pointsRefunded: txn.pointsRefunded || 0,
+          durationMinutes: typeof txn.duration === "number" ? Math.round(txn.duration / 6) / 10 : "",
+          energyWh: typeof txn.energyWh === "number" ? txn.energyWh : ""
+        };
+      });
+
+    await sendExport(res, {
+      format: filters.format,
+      filename: exportFilename("transactions", filters),
+      sheetName: "Transactions",
+      columns: [
+        { header: "Started", key: "started", width: 20 },
+        { header: "Ended", key: "ended", width: 20 },
+        { header: "Name", key: "name", width: 24 },
+        { header: "RFID", key: "rfid" },
+        { header: "Section", key: "section" },
+        { header: "Year", key: "year", width: 8 },
+        { header: "Socket", key: "socket", width: 8 },
+        { header: "Socket Type", key: "socketType", width: 20 },
+        { header: "Status", key: "status", width: 12 },
+        { header: "Points Used", key: "pointsUsed", width: 12 },
+        { header: "Points Refunded", key: "pointsRefunded" },
+        { header: "Duration (min)", key: "durationMinutes" },
+        { header: "Energy (Wh)", key: "energyWh", width: 12 }
+      ],
+      rows
+    });
+  } catch (err) {
+    handleExportError(res, err, "transactions");
+  }
+};
+
 /**
  * Mark attendance for a student
  * Adds 10 points once per day
  */
 export const markAttendance = async (req, res) => {
   try {
-    const { rfid } = req.body;
+    const { scanId } = req.body;
+    let { rfid } = req.body;
+
+    // Taps from a reader arrive as single-use scan IDs; typed RFIDs only when manual entry is on
+    if (scanId) {
+      const scan = consumeScan(scanId, stationFor(req));
+      if (!scan) {
+        return res.status(410).json({
+          success: false,
+          message: "Scan expired. Please tap your card again."
+        });
+      }
+      rfid = scan.rfid;
+    } else if (!isManualEntryAllowed() && req.session?.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Please tap your card on the reader."
+      });
+    }
 
     if (!rfid) {
       return res.status(400).json({ 
@@ -420,50 +792,122 @@ export const markAttendance = async (req, res) => {
     }
 
     const studentData = studentDoc.data();
+    const now = new Date();
+    const dateKey = dateKeyFor(now);
+    const attendanceRef = collection(db, "attendance");
 
-    // Check if student already checked in today
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
+    // Which class session (or daily check-in) this scan counts for
+    const slot = resolveAttendance(studentData.section || null, now);
 
-    const attendanceRef = collection(db, "attendance");
-    const q = query(
+    if (slot.mode === "outside-window") {
+      const next = slot.next
+        ? ` Next: ${slot.next.schedule.name} opens at ${formatCampusTime(slot.next.window.opensAt, { hour: "numeric", minute: "2-digit" })}.`
+        : "";
+      return res.json({
+        success: true,
+        status: "outside-window",
+        message: `No class session is open for check-in right now.${next}`,
+        pointsAdded: 0,
+        newPoints: studentData.points
+      });
+    }
+
+    // Records created before deterministic ids, or whose id still carries the day key
+    // from before campus time was used, are only found by their `date` field
+    const scheduleId = slot.schedule ? slot.schedule.id : null;
+    const legacySnapshot = await getDocs(query(
       attendanceRef,
       where("rfid", "==", rfid),
-      where("date", "==", todayStart.toISOString().split('T')[0])
-    );
+      where("date", "==", dateKey)
+    ));
 
-    const querySnapshot = await getDocs(q);
-
-    if (!querySnapshot.empty) {
+    if (legacySnapshot.docs.some(record => (record.data().scheduleId || null) === scheduleId)) {
       return res.json({ 
         success: true,
-        message: "Already checked in today",
+        status: "already-marked",
+        message: slot.schedule ? `Already checked in for ${slot.schedule.name}` : "Already checked in today",
         pointsAdded: 0,
         newPoints: studentData.points
       });
     }
 
-    // Add 10 points to student
-    const newPoints = (studentData.points || 0) + 10;
-    await updateDoc(studentRef, { points: newPoints });
+    // One attendance document per student per session (or per day without a schedule);
+    // creating it and crediting the points in a single transaction means two quick
+    // scans cannot both earn points
+    const attendanceId = slot.mode === "session"
+      ? `${dateKey}_${slot.schedule.id}_${rfid}`
+      : `${dateKey}_${rfid}`;
+    const attendanceDoc = doc(attendanceRef, attendanceId);
+    const result = await runTransaction(db, async (tx) => {
+      const existingSnap = await tx.get(attendanceDoc);
+      const studentSnap = await tx.get(studentRef);
+
+      if (existingSnap.exists()) {
+        return { alreadyMarked: true, newPoints: studentSnap.data().points };
+      }
+
+      let newPoints = studentSnap.data().points;
+      if (slot.points > 0) {
+        ({ balanceAfter: newPoints } = PointsLedger.applyInTransaction(tx, studentSnap, {
+          delta: slot.points,
+          reason: "attendance",
+          sourceType: "attendance",
+          sourceId: attendanceDoc.id,
+          actor: PointsLedger.actorFromRequest(req)
+        }));
+      }
 
-    // Create attendance record
-    const attendanceDoc = doc(attendanceRef);
-    await setDoc(attendanceDoc, {
-      rfid,
+      tx.set(attendanceDoc, {
+        rfid,
+        studentName: studentData.name,
+        email: studentData.email,
+        section: studentData.section || null,
+        year: studentData.year || null,
+        pointsAdded: slot.points,
+        status: slot.status, // "on-time", "late" or "present" (daily check-in)
+        scheduleId: slot.schedule ? slot.schedule.id : null,
+        scheduleName: slot.schedule ? slot.schedule.name : null,
+        sessionStart: slot.window ? slot.window.startsAt : null,
+        date: dateKey,
+        timestamp: now
+      });
+
+      return { alreadyMarked: false, newPoints };
+    });
+
+    const sessionLabel = slot.schedule ? ` for ${slot.schedule.name}` : " today";
+
+    if (result.alreadyMarked) {
+      return res.json({ 
+        success: true,
+        status: "already-marked",
+        message: `Already checked in${sessionLabel}`,
+        pointsAdded: 0,
+        newPoints: result.newPoints
+      });
+    }
+
+    const newPoints = result.newPoints;
+
+    if (slot.points > 0) {
+      publish(EVENTS.POINTS_CHANGED, { balance: newPoints, delta: slot.points, reason: "attendance" }, { rfid });
+    }
+    publish(EVENTS.ATTENDANCE_MARKED, {
       studentName: studentData.name,
-      email: studentData.email,
       section: studentData.section || null,
       year: studentData.year || null,
-      pointsAdded: 10,
-      date: todayStart.toISOString().split('T')[0],
-      timestamp: new Date()
+      status: slot.status,
+      scheduleName: slot.schedule ? slot.schedule.name : null,
+      pointsAdded: slot.points
     });
 
+    const statusLabel = slot.status === "late" ? "Marked late" : "Attendance marked";
     res.json({ 
       success: true,
-      message: "Attendance marked successfully! +10 points",
-      pointsAdded: 10,
+      status: slot.status,
+      scheduleName: slot.schedule ? slot.schedule.name : null,
+      message: `${statusLabel}${sessionLabel}! +${slot.points} points`,
+      pointsAdded: slot.points,
       newPoints
     });
   } catch (err) {
@@ -480,13 +924,10 @@ export const markAttendance = async (req, res) => {
  */
 export const getTodayAttendance = async (req, res) => {
   try {
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-
     const attendanceRef = collection(db, "attendance");
     const q = query(
       attendanceRef,
-      where("date", "==", todayStart.toISOString().split('T')[0])
+      where("date", "==", dateKeyFor())
     );
 
     const querySnapshot = await getDocs(q);
@@ -516,35 +957,38 @@ export const getTodayAttendance = async (req, res) => {
   }
 };
 
+// Attendance records inside a scope, with any extra equality constraints
+async function findAttendance(scope, constraints = []) {
+  const attendanceRef = collection(db, "attendance");
+  const own = scope.rfid ? [where("rfid", "==", scope.rfid)] : [];
+  const all = [...own, ...constraints];
+
+  const queries = scope.sections
+    ? scope.sections.map(name => query(attendanceRef, where("section", "==", name), ...all))
+    : [all.length ? query(attendanceRef, ...all) : attendanceRef];
+
+  const snapshots = await Promise.all(queries.map(q => getDocs(q)));
+  return snapshots
+    .flatMap(snapshot => snapshot.docs.map(attendanceDoc => ({ id: attendanceDoc.id, ...attendanceDoc.data() })))
+    .filter(record => !scope.section || record.section === scope.section);
+}
+
 /**
- * Get all attendance records filtered by section and year
+ * Get attendance records filtered by section, year and date range (from, to as YYYY-MM-DD).
+ * Admins see every section, teachers their own sections and students their own check-ins.
  */
 export const getAttendanceBySection = async (req, res) => {
   try {
-    const { section, year } = req.query;
-
-    const attendanceRef = collection(db, "attendance");
-    let q = attendanceRef;
-
-    // Build query based on filters
-    const constraints = [];
-    if (section) {
-      constraints.push(where("section", "==", section));
-    }
-    if (year) {
-      constraints.push(where("year", "==", year));
-    }
+    const { section, year, from, to } = req.query;
 
-    if (constraints.length > 0) {
-      q = query(attendanceRef, ...constraints);
+    const scope = await recordScope(req, section);
+    if (scope.error) {
+      return res.status(403).json({ success: false, error: scope.error });
     }
 
-    const querySnapshot = await getDocs(q);
-    const attendance = [];
-
-    querySnapshot.forEach((doc) => {
-      attendance.push({ id: doc.id, ...doc.data() });
-    });
+    // Attendance `date` keys are YYYY-MM-DD so they compare correctly as strings
+    const attendance = (await findAttendance(scope, year ? [where("year", "==", year)] : []))
+      .filter(record => (!from || record.date >= from) && (!to || record.date <= to));
 
     // Sort by timestamp descending
     attendance.sort((a, b) => {
@@ -566,17 +1010,75 @@ export const getAttendanceBySection = async (req, res) => {
   }
 };
 
+/**
+ * Download attendance records as CSV or XLSX
+ * Query: format (csv|xlsx), from, to (YYYY-MM-DD), section, year, rfid
+ */
+export const exportAttendance = async (req, res) => {
+  const filters = parseExportQuery(req);
+  if (filters.error) {
+    return res.status(400).json({ success: false, error: filters.error });
+  }
+
+  try {
+    const scope = await recordScope(req, filters.section);
+    if (scope.error) {
+      return res.status(403).json({ success: false, error: scope.error });
+    }
+    filters.rfid = scope.rfid || filters.rfid;
+
+    const constraints = [];
+    if (filters.year) constraints.push(where("year", "==", filters.year));
+    if (filters.rfid && !scope.rfid) constraints.push(where("rfid", "==", filters.rfid));
+
+    const rows = (await findAttendance(scope, constraints))
+      .filter(record => (!filters.from || record.date >= filters.from) && (!filters.to || record.date <= filters.to))
+      .sort((a, b) => (a.timestamp?.seconds || 0) - (b.timestamp?.seconds || 0))
+      .map(record => ({
+        date: record.date,
+        checkedIn: formatTimestamp(record.timestamp),
+        name: record.studentName || "",
+        rfid: record.rfid,
+        section: record.section || "",
+        year: record.year || "",
+        session: record.scheduleName || "",
+        status: record.status || "present",
+        points: record.pointsAdded || 0
+      }));
+
+    await sendExport(res, {
+      format: filters.format,
+      filename: exportFilename("attendance", filters),
+      sheetName: "Attendance",
+      columns: [
+        { header: "Date", key: "date", width: 12 },
+        { header: "Checked In", key: "checkedIn", width: 20 },
+        { header: "Name", key: "name", width: 24 },
+        { header: "RFID", key: "rfid" },
+        { header: "Section", key: "section" },
+        { header: "Year", key: "year", width: 8 },
+        { header: "Session", key: "session", width: 20 },
+        { header: "Status", key: "status", width: 12 },
+        { header: "Points", key: "points", width: 8 }
+      ],
+      rows
+    });
+  } catch (err) {
+    handleExportError(res, err, "attendance");
+  }
+};
+
 /**
  * Get student's attendance history
  */
 export const getStudentAttendance = async (req, res) => {
   try {
-    const rfid = req.params.rfid || req.session?.rfid;
+    const { rfid, error, status } = await studentScope(req, req.params.rfid);
 
-    if (!rfid) {
-      return res.status(401).json({ 
+    if (error) {
+      return res.status(status).json({ 
         success: false, 
-        error: "Not authenticated" 
+        error 
       });
     }
 
@@ -600,13 +1102,15 @@ export const getStudentAttendance = async (req, res) => {
     // Calculate stats
     const totalDays = attendance.length;
     const totalPoints = attendance.reduce((sum, record) => sum + (record.pointsAdded || 0), 0);
+    const late = attendance.filter(record => record.status === "late").length;
 
     res.json({ 
       success: true, 
       attendance,
       stats: {
         totalDays,
-        totalPoints
+        totalPoints,
+        late
       }
     });
   } catch (err) {
@@ -617,3 +1121,100 @@ export const getStudentAttendance = async (req, res) => {
     });
   }
 };
+
+/**
+ * Attendance schedules, optionally for one section, with each session's state today
+ */
+export const getAttendanceSchedules = async (req, res) => {
+  try {
+    const now = new Date();
+    const schedules = getSchedules(req.query.section || null).map((schedule) => {
+      const today = sessionsOn(schedule.section, now).find(session => session.schedule.id === schedule.id);
+      return {
+        ...schedule,
+        today: today ? { ...today.window, state: sessionState(today.window, now) } : null
+      };
+    });
+
+    res.json({ success: true, schedules });
+  } catch (err) {
+    console.error("Error getting attendance schedules:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * On-time, late and absent students for every scheduled session on a day.
+ * Students only count as absent once the session's check-in window has closed.
+ * Query: date (YYYY-MM-DD, defaults to today), section (optional)
+ */
+export const getAttendanceReport = async (req, res) => {
+  try {
+    const dateKey = req.query.date ? parseDateKey(req.query.date) : dateKeyFor();
+
+    if (!dateKey) {
+      return res.status(400).json({ success: false, error: "date must be YYYY-MM-DD" });
+    }
+
+    const scope = await recordScope(req, req.query.section);
+    if (scope.error) {
+      return res.status(403).json({ success: false, error: scope.error });
+    }
+
+    // Midday on the campus clock stands for the whole day
+    const day = campusTime(dateKey, 12 * 60);
+    const now = new Date();
+    const attendanceSnapshot = await getDocs(query(collection(db, "attendance"), where("date", "==", dateKey)));
+    const records = attendanceSnapshot.docs.map(attendanceDoc => attendanceDoc.data());
+
+    const sessions = [];
+    for (const sectionName of scope.sections || getScheduledSections()) {
+      const daySessions = sessionsOn(sectionName, day);
+      if (daySessions.length === 0) continue;
+
+      const studentsSnapshot = await getDocs(query(collection(db, "students"), where("section", "==", sectionName)));
+      const enrolled = studentsSnapshot.docs
+        .filter(studentDoc => (studentDoc.data().role || "user") === "user")
+        .map(studentDoc => ({
+          rfid: studentDoc.id,
+          name: studentDoc.data().name || null,
+          year: studentDoc.data().year || null
+        }));
+
+      daySessions.forEach(({ schedule, window }) => {
+        const state = sessionState(window, now);
+        const scanned = records.filter(record => record.scheduleId === schedule.id);
+        const scannedRfids = new Set(scanned.map(record => record.rfid));
+        const toEntry = record => ({ rfid: record.rfid, name: record.studentName || null, checkedInAt: record.timestamp });
+
+        const onTime = scanned.filter(record => record.status !== "late").map(toEntry);
+        const late = scanned.filter(record => record.status === "late").map(toEntry);
+        const notScanned = enrolled.filter(student => !scannedRfids.has(student.rfid));
+
+        sessions.push({
+          scheduleId: schedule.id,
+          section: schedule.section,
+          name: schedule.name,
+          start: schedule.start,
+          end: schedule.end,
+          state,
+          counts: {
+            enrolled: enrolled.length,
+            onTime: onTime.length,
+            late: late.length,
+            absent: state === "closed" ? notScanned.length : 0,
+            pending: state === "closed" ? 0 : notScanned.length
+          },
+          onTime,
+          late,
+          absent: state === "closed" ? notScanned : []
+        });
+      });
+    }
+
+    res.json({ success: true, date: dateKey, sessions });
+  } catch (err) {
+    console.error("Error building attendance report:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
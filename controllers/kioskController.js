@@ -0,0 +1,250 @@
+// Kiosk Controller: RFID tap + PIN sign-in for the shared charging kiosk
+import bcrypt from "bcrypt";
+import { db } from "../models/firebase.js";
+import { doc, getDoc, updateDoc, runTransaction, Timestamp } from "firebase/firestore";
+import { consumeScan, isManualEntryAllowed, getStations } from "../utils/rfidReader.js";
+import { stationFor, registerStation, forgetStation } from "../utils/kioskStations.js";
+import { recordAudit, AUDIT_ACTIONS } from "../utils/audit.js";
+import { rotateCsrfToken } from "../utils/security.js";
+
+// Kiosk PINs are 4 to 6 digits
+const PIN_PATTERN = /^\d{4,6}$/;
+
+// Wrong PINs allowed before the card is locked out of kiosk sign-in
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// A kiosk session only lives long enough to pick a socket and start charging
+export const KIOSK_SESSION_MS = 3 * 60 * 1000;
+
+// Cards with a PIN check in flight; stops parallel guesses slipping past the lockout
+const pinChecksInFlight = new Set();
+
+/**
+ * Set or change the kiosk PIN (user dashboard). The account password is required.
+ */
+export const setKioskPin = async (req, res) => {
+  try {
+    const { pin, password } = req.body;
+    const rfid = req.session.rfid;
+
+    if (!PIN_PATTERN.test(String(pin || ""))) {
+      return res.status(400).json({ success: false, error: "PIN must be 4 to 6 digits" });
+    }
+
+    const studentRef = doc(db, "students", rfid);
+    const studentDoc = await getDoc(studentRef);
+    if (!studentDoc.exists()) {
+      return res.status(404).json({ success: false, error: "Student not found" });
+    }
+
+    const match = await bcrypt.compare(String(password || ""), studentDoc.data().passwordHash || "");
+    if (!match) {
+      return res.status(401).json({ success: false, error: "Password is incorrect" });
+    }
+
+    const saltRounds = 10;
+    await updateDoc(studentRef, {
+      pinHash: await bcrypt.hash(String(pin), saltRounds),
+      pinUpdatedAt: Timestamp.now(),
+      pinFailedAttempts: 0,
+      pinLockedUntil: null
+    });
+
+    await recordAudit(AUDIT_ACTIONS.KIOSK_PIN_SET, {
+      req,
+      target: { type: "student", id: rfid },
+      before: { pinSet: Boolean(studentDoc.data().pinHash) },
+      after: { pinSet: true }
+    });
+
+    res.json({ success: true, message: "Kiosk PIN saved" });
+  } catch (err) {
+    console.error("Error setting kiosk PIN:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Remove the kiosk PIN, turning off tap + PIN sign-in for this card
+ */
+export const removeKioskPin = async (req, res) => {
+  try {
+    await updateDoc(doc(db, "students", req.session.rfid), {
+      pinHash: null,
+      pinUpdatedAt: Timestamp.now(),
+      pinFailedAttempts: 0,
+      pinLockedUntil: null
+    });
+
+    await recordAudit(AUDIT_ACTIONS.KIOSK_PIN_REMOVED, {
+      req,
+      target: { type: "student", id: req.session.rfid },
+      after: { pinSet: false }
+    });
+
+    res.json({ success: true, message: "Kiosk PIN removed" });
+  } catch (err) {
+    console.error("Error removing kiosk PIN:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Sign in at the kiosk with a card tap (scanId from the reader) and PIN.
+ * Creates a short-lived session that can only be used for charging.
+ */
+export const kioskLogin = async (req, res) => {
+  const { scanId, pin } = req.body;
+  let rfid = null;
+
+  // The card must come from a reader tap unless typed RFIDs are allowed
+  if (scanId) {
+    const scan = consumeScan(scanId, stationFor(req));
+    if (!scan) {
+      return res.status(410).json({ success: false, error: "Scan expired. Please tap your card again." });
+    }
+    rfid = scan.rfid;
+  } else if (isManualEntryAllowed() && typeof req.body.rfid === "string") {
+    rfid = req.body.rfid.trim();
+  }
+
+  if (!rfid) {
+    return res.status(400).json({ success: false, error: "Please tap your card on the reader." });
+  }
+  if (!PIN_PATTERN.test(String(pin || ""))) {
+    return res.status(400).json({ success: false, error: "Enter your 4 to 6 digit PIN" });
+  }
+  if (pinChecksInFlight.has(rfid)) {
+    return res.status(429).json({ success: false, error: "Please wait and try again." });
+  }
+
+  pinChecksInFlight.add(rfid);
+  try {
+    const studentRef = doc(db, "students", rfid);
+    const studentDoc = await getDoc(studentRef);
+    if (!studentDoc.exists()) {
+      return res.status(404).json({ success: false, error: "Card not registered. Please register first." });
+    }
+
+    const student = studentDoc.data();
+    const lockedUntil = student.pinLockedUntil?.toMillis ? student.pinLockedUntil.toMillis() : 0;
+    if (lockedUntil > Date.now()) {
+      const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+      return res.status(423).json({ success: false, error: `Too many wrong PINs. Try again in ${minutes} minute(s) or sign in with your password.` });
+    }
+    if (!student.pinHash) {
+      return res.status(400).json({ success: false, error: "No kiosk PIN set. Set one from your dashboard first." });
+    }
+
+    const match = await bcrypt.compare(String(pin), student.pinHash);
+
+    // Count failures atomically so two kiosks cannot both reset the counter
+    const attemptsLeft = await runTransaction(db, async (tx) => {
+      const snap = await tx.get(studentRef);
+      if (match) {
+        tx.update(studentRef, { pinFailedAttempts: 0, pinLockedUntil: null });
+        return MAX_PIN_ATTEMPTS;
+      }
+
+      const failed = (snap.data().pinFailedAttempts || 0) + 1;
+      if (failed >= MAX_PIN_ATTEMPTS) {
+        tx.update(studentRef, {
+          pinFailedAttempts: 0,
+          pinLockedUntil: Timestamp.fromMillis(Date.now() + PIN_LOCKOUT_MS)
+        });
+        return 0;
+      }
+      tx.update(studentRef, { pinFailedAttempts: failed });
+      return MAX_PIN_ATTEMPTS - failed;
+    });
+
+    if (!match) {
+      const error = attemptsLeft > 0
+        ? `Wrong PIN. ${attemptsLeft} attempt(s) left.`
+        : `Too many wrong PINs. Kiosk sign-in is locked for ${PIN_LOCKOUT_MS / 60000} minutes.`;
+      return res.status(401).json({ success: false, error, attemptsLeft });
+    }
+
+    // New session id so nothing from a previous kiosk user carries over
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error("Kiosk session error:", err);
+        return res.status(500).json({ success: false, error: "Could not start kiosk session" });
+      }
+
+      req.session.userId = studentDoc.id;
+      req.session.rfid = student.rfid || studentDoc.id;
+      req.session.role = "user";
+      req.session.email = student.email;
+      req.session.isAuthenticated = true;
+      req.session.signedInAt = Date.now();
+      req.session.kiosk = true;
+      req.session.kioskExpiresAt = Date.now() + KIOSK_SESSION_MS;
+      req.session.cookie.maxAge = KIOSK_SESSION_MS;
+      rotateCsrfToken(req, res);
+
+      res.json({ success: true, redirect: "/charging-station", expiresAt: req.session.kioskExpiresAt });
+    });
+  } catch (err) {
+    console.error("Kiosk login error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    pinChecksInFlight.delete(rfid);
+  }
+};
+
+/**
+ * Reader stations, and the one this browser is registered to (admin only)
+ */
+export const getKioskStation = (req, res) => {
+  res.json({ success: true, station: stationFor(req), stations: getStations() });
+};
+
+/**
+ * Register this browser as the kiosk of a reader station, so it receives that station's taps (admin only)
+ * Body: station
+ */
+export const registerKioskStation = async (req, res) => {
+  const { station } = req.body || {};
+  if (!getStations().includes(station)) {
+    return res.status(400).json({ success: false, error: "Unknown station" });
+  }
+
+  try {
+    const before = stationFor(req);
+    registerStation(req, res, station);
+    await recordAudit(AUDIT_ACTIONS.KIOSK_STATION_REGISTERED, {
+      req,
+      target: { type: "station", id: station },
+      before: { station: before },
+      after: { station }
+    });
+    res.json({ success: true, station });
+  } catch (err) {
+    console.error("Error registering kiosk station:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Stop this browser receiving a station's taps (admin only)
+ */
+export const removeKioskStation = async (req, res) => {
+  try {
+    const before = stationFor(req);
+    forgetStation(res);
+    if (before) {
+      await recordAudit(AUDIT_ACTIONS.KIOSK_STATION_REMOVED, {
+        req,
+        target: { type: "station", id: before },
+        before: { station: before },
+        after: { station: null }
+      });
+    }
+    res.json({ success: true, station: null });
+  } catch (err) {
+    console.error("Error removing kiosk station:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
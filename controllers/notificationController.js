@@ -0,0 +1,84 @@
+// Notification Controller: session receipts and notification preferences
+import { ReceiptModel } from "../models/receiptModel.js";
+import { NotificationModel, NotificationError } from "../models/notificationModel.js";
+import { TransactionModel } from "../models/transactionModel.js";
+import { scheduleEndingReminder } from "../utils/notifications.js";
+import { mailerAvailable } from "../utils/mailer.js";
+
+/**
+ * The signed-in student's notification preferences
+ */
+export const getNotificationPreferences = async (req, res) => {
+  try {
+    const recipient = await NotificationModel.forStudent(req.session.rfid);
+    if (!recipient) {
+      return res.status(404).json({ success: false, error: "Student not found" });
+    }
+
+    res.json({ success: true, preferences: recipient.prefs, emailAvailable: mailerAvailable() });
+  } catch (err) {
+    console.error("Error loading notification preferences:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Update notification preferences
+ * Body: emailReceipts, lowBalance { enabled, threshold }, sessionEnding { enabled, minutesBefore }
+ */
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const rfid = req.session.rfid;
+    const recipient = await NotificationModel.forStudent(rfid);
+    if (!recipient) {
+      return res.status(404).json({ success: false, error: "Student not found" });
+    }
+
+    const preferences = NotificationModel.validate(req.body || {}, recipient.prefs);
+    await NotificationModel.save(rfid, preferences);
+
+    // A session already running picks up the new reminder setting
+    const active = await TransactionModel.getActiveTransaction(rfid);
+    if (active) await scheduleEndingReminder(active.id);
+
+    res.json({ success: true, preferences });
+  } catch (err) {
+    if (err instanceof NotificationError) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error("Error saving notification preferences:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * The signed-in student's recent receipts
+ * Query: limit (default 20, max 100)
+ */
+export const listMyReceipts = async (req, res) => {
+  try {
+    const limitCount = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const receipts = await ReceiptModel.listForStudent(req.session.rfid, limitCount);
+    res.json({ success: true, receipts });
+  } catch (err) {
+    console.error("Error loading receipts:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * One receipt (its student or an admin)
+ */
+export const getReceipt = async (req, res) => {
+  try {
+    const receipt = await ReceiptModel.get(req.params.transactionId);
+    if (!receipt || (receipt.rfid !== req.session.rfid && req.session.role !== "admin")) {
+      return res.status(404).json({ success: false, error: "Receipt not found" });
+    }
+
+    res.json({ success: true, receipt });
+  } catch (err) {
+    console.error("Error loading receipt:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
@@ -0,0 +1,110 @@
+// Password Reset Controller: emailed one-time codes exchanged for single-use reset tokens
+import bcrypt from "bcrypt";
+import { authAdmin, adminAvailable } from "../models/firebaseAdmin.js";
+import { PasswordResetModel, PasswordResetError, OTP_TTL_MS } from "../models/passwordResetModel.js";
+import { sendTooManyRequests, OTP_SETTINGS } from "../utils/rateLimiter.js";
+import { sendMail, mailerAvailable } from "../utils/mailer.js";
+import { config } from "../utils/config.js";
+import { recordAudit, AUDIT_ACTIONS } from "../utils/audit.js";
+
+// Firebase Auth rejects shorter passwords
+const MIN_PASSWORD_LENGTH = 6;
+
+function sendResetError(req, res, err, action) {
+  if (err instanceof PasswordResetError) {
+    if (err.status === 429) {
+      return sendTooManyRequests(req, res, err.retryAfterMs, { message: err.message });
+    }
+    const body = { success: false, error: err.message };
+    if (err.attemptsLeft !== undefined) body.attemptsLeft = err.attemptsLeft;
+    return res.status(err.status).json(body);
+  }
+  console.error(`${action} error`, err);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+/**
+ * Email a six-digit code (one per cooldown per address)
+ * Body: email
+ */
+export const sendOtp = async (req, res) => {
+  const email = (req.body.email || "").toString().trim();
+  if (!email) return res.status(400).json({ success: false, error: "Email required" });
+
+  try {
+    if (!mailerAvailable()) {
+      return res.status(503).json({ success: false, error: "Email is not configured on this server" });
+    }
+
+    const code = await PasswordResetModel.issueCode(email, { cooldownMs: OTP_SETTINGS.resendCooldownSeconds * 1000 });
+    await sendMail("otp", email, { code, expiresInMinutes: OTP_TTL_MS / 60000 });
+
+    const resp = { success: true };
+    // In development you can opt-in to receive the OTP in the JSON response (useful for testing)
+    if (config.devShowOtp) resp.devOtp = code;
+    res.json(resp);
+  } catch (err) {
+    sendResetError(req, res, err, "send-otp");
+  }
+};
+
+/**
+ * Check a code and hand back a short-lived, single-use reset token
+ * Body: email, code
+ */
+export const verifyOtp = async (req, res) => {
+  const email = (req.body.email || "").toString().trim();
+  const code = (req.body.code || "").toString().trim();
+  if (!email || !code) return res.status(400).json({ success: false, error: "Email and code required" });
+
+  try {
+    const { token, expiresAt } = await PasswordResetModel.verifyCode(email, code, { maxAttempts: OTP_SETTINGS.maxAttempts });
+    res.json({ success: true, resetToken: token, expiresAt });
+  } catch (err) {
+    sendResetError(req, res, err, "verify-otp");
+  }
+};
+
+/**
+ * Set a new password with a reset token. The Firestore hash and the token are updated
+ * together; if Firebase Auth then refuses the password, both are put back.
+ * Body: resetToken, password
+ */
+export const resetPassword = async (req, res) => {
+  const { resetToken, password } = req.body;
+  if (!resetToken || typeof password !== "string") {
+    return res.status(400).json({ success: false, error: "Missing fields" });
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const hashed = await bcrypt.hash(password, 10);
+    const reset = await PasswordResetModel.consumeResetToken(resetToken, hashed);
+
+    if (adminAvailable && authAdmin && reset.authUid) {
+      try {
+        await authAdmin.updateUser(reset.authUid, { password });
+      } catch (err) {
+        console.error("Failed to update auth user password, restoring previous one:", err);
+        await PasswordResetModel.restoreReset(reset, hashed);
+        return res.status(500).json({ success: false, error: "Could not update your password, please try again" });
+      }
+    }
+
+    // Hashes are never logged, only that the password changed
+    await recordAudit(AUDIT_ACTIONS.PASSWORD_RESET, {
+      req,
+      actor: { id: reset.rfid, role: "user", email: reset.email },
+      target: { type: "student", id: reset.rfid },
+      before: { passwordChanged: false },
+      after: { passwordChanged: true },
+      details: { method: "emailed-code" }
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    sendResetError(req, res, err, "reset-password");
+  }
+};
@@ -0,0 +1,180 @@
+// Section Controller: section rosters, teacher assignments and the teacher console
+import { db } from "../models/firebase.js";
+import { collection, getDocs, query, where } from "firebase/firestore";
+import { SectionModel, SectionError } from "../models/sectionModel.js";
+import { recordAudit, AUDIT_ACTIONS } from "../utils/audit.js";
+
+function sendSectionError(res, err, action) {
+  if (err instanceof SectionError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+/**
+ * Section names and years for the registration form (public)
+ */
+export const listSections = async (req, res) => {
+  try {
+    const sections = (await SectionModel.list()).map(({ name, year }) => ({ name, year }));
+    res.json({ success: true, sections });
+  } catch (err) {
+    sendSectionError(res, err, "listing sections");
+  }
+};
+
+// ============ ADMIN ============
+
+/**
+ * Every section with its teachers and enrollment count (admin only)
+ */
+export const listSectionsAdmin = async (req, res) => {
+  try {
+    const [sections, studentsSnapshot] = await Promise.all([
+      SectionModel.list(),
+      getDocs(collection(db, "students"))
+    ]);
+
+    const accounts = new Map();
+    const enrolled = new Map();
+    studentsSnapshot.forEach((studentDoc) => {
+      const data = studentDoc.data();
+      accounts.set(studentDoc.id, data);
+      if ((data.role || "user") === "user" && data.section) {
+        enrolled.set(data.section, (enrolled.get(data.section) || 0) + 1);
+      }
+    });
+
+    res.json({
+      success: true,
+      sections: sections.map(section => ({
+        name: section.name,
+        year: section.year,
+        studentCount: enrolled.get(section.name) || 0,
+        teachers: section.teacherRfids.map(rfid => ({
+          rfid,
+          name: accounts.get(rfid)?.name || null,
+          email: accounts.get(rfid)?.email || null,
+          adviser: section.adviserRfid === rfid
+        }))
+      })),
+      // Students whose section is not in the list yet (free text from before sections existed)
+      unlisted: [...enrolled.keys()].filter(name => !sections.some(section => section.name === name)).sort()
+    });
+  } catch (err) {
+    sendSectionError(res, err, "listing sections");
+  }
+};
+
+/**
+ * Create a section (admin only)
+ * Body: name, year (optional)
+ */
+export const createSection = async (req, res) => {
+  try {
+    const section = await SectionModel.create({ name: req.body.name, year: req.body.year });
+    res.json({ success: true, section });
+  } catch (err) {
+    sendSectionError(res, err, "creating section");
+  }
+};
+
+/**
+ * Assign a teacher to a section by account email (admin only)
+ * Body: email, adviser (optional boolean)
+ */
+export const assignSectionTeacher = async (req, res) => {
+  try {
+    const email = (req.body.email || "").toString().trim();
+    if (!email) {
+      return res.status(400).json({ success: false, error: "Teacher email is required" });
+    }
+
+    const accountSnapshot = await getDocs(query(collection(db, "students"), where("email", "==", email)));
+    if (accountSnapshot.empty) {
+      return res.status(404).json({ success: false, error: `No registered account with email ${email}` });
+    }
+
+    const teacherRfid = accountSnapshot.docs[0].id;
+    const adviser = req.body.adviser === true || req.body.adviser === "true";
+    const section = await SectionModel.assignTeacher(req.params.name, teacherRfid, { adviser });
+
+    await recordAudit(AUDIT_ACTIONS.SECTION_TEACHER_ASSIGNED, {
+      req,
+      target: { type: "section", id: SectionModel.normalizeName(req.params.name) },
+      after: { teacher: teacherRfid, adviser },
+      details: { email }
+    });
+
+    res.json({ success: true, section });
+  } catch (err) {
+    sendSectionError(res, err, "assigning teacher");
+  }
+};
+
+/**
+ * Remove a teacher from a section (admin only)
+ */
+export const removeSectionTeacher = async (req, res) => {
+  try {
+    const section = await SectionModel.removeTeacher(req.params.name, req.params.rfid);
+
+    await recordAudit(AUDIT_ACTIONS.SECTION_TEACHER_REMOVED, {
+      req,
+      target: { type: "section", id: SectionModel.normalizeName(req.params.name) },
+      before: { teacher: req.params.rfid },
+      after: { teacher: null }
+    });
+
+    res.json({ success: true, section });
+  } catch (err) {
+    sendSectionError(res, err, "removing teacher");
+  }
+};
+
+/**
+ * Move a student into a section (admin only)
+ * Body: rfid
+ */
+export const enrollSectionStudent = async (req, res) => {
+  try {
+    const rfid = (req.body.rfid || "").toString().trim();
+    if (!rfid) {
+      return res.status(400).json({ success: false, error: "Student RFID is required" });
+    }
+
+    const enrollment = await SectionModel.enrollStudent(req.params.name, rfid);
+    res.json({ success: true, ...enrollment });
+  } catch (err) {
+    sendSectionError(res, err, "enrolling student");
+  }
+};
+
+// ============ TEACHER ============
+
+export const teacherDashboard = (req, res) => {
+  res.render("teacher-dashboard");
+};
+
+/**
+ * Sections the signed-in teacher handles, each with its roster and balances
+ * (admins see every section)
+ */
+export const getMySections = async (req, res) => {
+  try {
+    const visible = await SectionModel.visibleSections(req);
+    const sections = (await SectionModel.list()).filter(section => !visible || visible.includes(section.name));
+
+    const result = await Promise.all(sections.map(async section => ({
+      name: section.name,
+      year: section.year,
+      adviser: section.adviserRfid === req.session.rfid,
+      students: await SectionModel.roster(section.name)
+    })));
+
+    res.json({ success: true, sections: result });
+  } catch (err) {
+    sendSectionError(res, err, "loading teacher sections");
+  }
+};
@@ -0,0 +1,156 @@
+// Transfer Controller: students sending points to classmates
+import { TransferModel, TransferError } from "../models/transferModel.js";
+import { PointsLedger, InsufficientPointsError } from "../models/pointsLedger.js";
+import { recordAudit, AUDIT_ACTIONS } from "../utils/audit.js";
+import { config } from "../utils/config.js";
+
+const MAX_NOTE_LENGTH = 100;
+
+// Senders only ever learn who they are paying, not the recipient's email or card
+function toRecipientResponse(recipient) {
+  return { name: recipient.name, section: recipient.section };
+}
+
+function sendTransferError(res, err, action) {
+  if (err instanceof TransferError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  if (err instanceof InsufficientPointsError) {
+    return res.status(400).json({ success: false, error: "You do not have enough points for this transfer" });
+  }
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({ success: false, error: err.message });
+}
+
+/**
+ * Look up a student account to send points to, so the sender can confirm who it is
+ * @returns {Promise<Object>} - { recipient } or { error, status }
+ */
+async function resolveRecipient(req, identifier) {
+  if (typeof identifier !== "string" || !identifier.trim()) {
+    return { error: "Enter the recipient's RFID or email", status: 400 };
+  }
+
+  const recipient = await TransferModel.findRecipient(identifier);
+  // Staff accounts are reported as unknown, like cards that do not exist
+  if (!recipient || recipient.role !== "user") {
+    return { error: "No student found with that RFID or email", status: 404 };
+  }
+  if (recipient.rfid === req.session.rfid) {
+    return { error: "You cannot send points to yourself", status: 400 };
+  }
+  return { recipient };
+}
+
+/**
+ * Today's transfer allowance for the signed-in student
+ * @returns {Promise<Object>} - { dailyPoints, dailyCount, pointsSent, count, pointsLeft, transfersLeft }
+ */
+async function allowanceFor(rfid) {
+  const { dailyPoints, dailyCount } = config.transfers;
+  const { pointsSent, count } = await TransferModel.getDailyTotals(rfid);
+  return {
+    dailyPoints,
+    dailyCount,
+    pointsSent,
+    count,
+    pointsLeft: Math.max(dailyPoints - pointsSent, 0),
+    transfersLeft: Math.max(dailyCount - count, 0)
+  };
+}
+
+/**
+ * Who a transfer would go to
+ * Query: to (RFID or email)
+ */
+export const lookupTransferRecipient = async (req, res) => {
+  if (!config.transfers.enabled) {
+    return res.status(403).json({ success: false, error: "Point transfers are turned off" });
+  }
+
+  try {
+    const { recipient, error, status } = await resolveRecipient(req, req.query.to);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    res.json({ success: true, recipient: toRecipientResponse(recipient) });
+  } catch (err) {
+    sendTransferError(res, err, "looking up transfer recipient");
+  }
+};
+
+/**
+ * Send points to another student
+ * Body: to (RFID or email), amount, note (optional)
+ */
+export const createTransfer = async (req, res) => {
+  if (!config.transfers.enabled) {
+    return res.status(403).json({ success: false, error: "Point transfers are turned off" });
+  }
+
+  const { to, note } = req.body || {};
+  const amount = Number(req.body?.amount);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ success: false, error: "Amount must be a positive whole number of points" });
+  }
+  if (note !== undefined && note !== null && (typeof note !== "string" || note.trim().length > MAX_NOTE_LENGTH)) {
+    return res.status(400).json({ success: false, error: `Note must be text of at most ${MAX_NOTE_LENGTH} characters` });
+  }
+
+  try {
+    const { recipient, error, status } = await resolveRecipient(req, to);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const transfer = await TransferModel.create({
+      fromRfid: req.session.rfid,
+      toRfid: recipient.rfid,
+      amount,
+      note: note ? note.trim() : null,
+      actor: PointsLedger.actorFromRequest(req)
+    }, config.transfers);
+
+    await recordAudit(AUDIT_ACTIONS.POINTS_TRANSFERRED, {
+      req,
+      target: { type: "student", id: recipient.rfid },
+      before: { senderPoints: transfer.fromBalanceAfter + amount, recipientPoints: transfer.toBalanceAfter - amount },
+      after: { senderPoints: transfer.fromBalanceAfter, recipientPoints: transfer.toBalanceAfter },
+      details: { transferId: transfer.id, from: transfer.fromRfid, amount, note: transfer.note }
+    });
+
+    res.json({
+      success: true,
+      transfer: {
+        id: transfer.id,
+        amount,
+        note: transfer.note,
+        recipient: toRecipientResponse(recipient),
+        createdAt: transfer.createdAt
+      },
+      balance: transfer.fromBalanceAfter,
+      allowance: await allowanceFor(req.session.rfid)
+    });
+  } catch (err) {
+    sendTransferError(res, err, "transferring points");
+  }
+};
+
+/**
+ * The signed-in student's transfers and today's remaining allowance
+ * Query: limit (default 20, max 100)
+ */
+export const listMyTransfers = async (req, res) => {
+  try {
+    const limitCount = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const rfid = req.session.rfid;
+    const [transfers, allowance] = await Promise.all([
+      TransferModel.getForStudent(rfid, limitCount),
+      allowanceFor(rfid)
+    ]);
+
+    res.json({ success: true, enabled: config.transfers.enabled, transfers, allowance });
+  } catch (err) {
+    sendTransferError(res, err, "listing transfers");
+  }
+};
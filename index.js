@@ -1,27 +1,48 @@
 import express from "express";
-import dotenv from "dotenv";
 import path from "path";
 import session from "express-session";
+import { config } from "./utils/config.js";
+import { sessionStore } from "./utils/sessionStore.js";
+import { securityHeaders, csrfProtection } from "./utils/security.js";
 import router from "./routes/index.js";
-
-dotenv.config();
+import { reconcileSessions, installShutdownHandlers } from "./utils/sessionRecovery.js";
+import { startReaders } from "./utils/rfidReader.js";
+import { CAMPUS_TIMEZONE } from "./utils/campusTime.js";
+import { RATE_LIMIT_SETTINGS } from "./utils/rateLimiter.js";
+import { startNotifications } from "./utils/notifications.js";
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+// Behind a reverse proxy, rate limits must see the client address rather than the proxy's
+app.set("trust proxy", RATE_LIMIT_SETTINGS.trustProxy);
+
+// CSP, framing and referrer headers on every response, static files included
+app.use(securityHeaders);
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 app.use(session({
-  secret: process.env.SESSION_SECRET || "xianfire-secret-key",
+  secret: config.session.secret,
+  // Logins survive restarts; SESSION_STORE picks file, firestore or memory
+  store: sessionStore,
   resave: false,
   saveUninitialized: false,
   cookie: {
-    // session cookie lifetime; can be overridden by env
-    maxAge: parseInt(process.env.SESSION_MAX_AGE || String(24 * 60 * 60 * 1000), 10)
+    // session cookie lifetime; SESSION_MAX_AGE in milliseconds
+    maxAge: config.session.maxAgeMs,
+    httpOnly: true,
+    // Not sent on cross-site posts; links from emails still arrive signed in
+    sameSite: "lax",
+    // "auto" marks the cookie Secure whenever the request came in over HTTPS
+    secure: config.session.secureCookie ?? "auto"
   }
 }));
 
+// State-changing requests must carry the token rendered into every page
+app.use(csrfProtection);
+
 // Serve static files from public folder
 app.use(express.static(path.join(process.cwd(), "public")));
 
@@ -33,6 +54,27 @@ app.engine("xian", ejs.__express);
 app.set("views", path.join(process.cwd(), "views"));
 app.set("view engine", "xian");
 
+// Pages format timestamps on the campus clock
+app.locals.campusTimeZone = CAMPUS_TIMEZONE;
+
 app.use("/", router);
 
+// Make sure sockets are de-energized on SIGINT/SIGTERM and fatal errors
+installShutdownHandlers();
+
+// Receipts and balance alerts follow session and points events
+startNotifications();
+
+// Resume or complete sessions left in-progress by a previous run before accepting new ones
+try {
+  const { resumed, completed, failed } = await reconcileSessions();
+  console.log(`🔁 Session reconciliation: ${resumed} resumed, ${completed} completed, ${failed} failed`);
+} catch (err) {
+  console.error("Session reconciliation failed:", err);
+}
+
+// RFID readers push taps to their station's kiosk page
+const readers = await startReaders();
+console.log(`📇 RFID readers: ${readers.started} started, ${readers.failed} failed`);
+
 app.listen(PORT, () => console.log(`🔥 XianFire running at http://localhost:${PORT}`));
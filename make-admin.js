@@ -0,0 +1,43 @@
+import { collection, query, where, getDocs, updateDoc } from "firebase/firestore";
+import { db } from "./models/firebase.js";
+import { recordAudit, AUDIT_ACTIONS } from "./utils/audit.js";
+
+// Usage: npm run make-admin -- <email> [--teacher] [--revoke]
+const args = process.argv.slice(2);
+const email = args.find(arg => !arg.startsWith("--"));
+const revoke = args.includes("--revoke");
+const teacher = args.includes("--teacher");
+
+if (!email) {
+  console.error("Usage: npm run make-admin -- <email> [--teacher] [--revoke]");
+  process.exit(1);
+}
+
+try {
+  const snapshot = await getDocs(query(collection(db, "students"), where("email", "==", email)));
+
+  if (snapshot.empty) {
+    console.error(`❌ No registered user with email ${email}`);
+    process.exit(1);
+  }
+
+  const role = revoke ? "user" : teacher ? "teacher" : "admin";
+  const labels = { admin: "an admin", teacher: "a teacher", user: "a regular user" };
+  for (const studentDoc of snapshot.docs) {
+    await updateDoc(studentDoc.ref, { role });
+    await recordAudit(AUDIT_ACTIONS.ROLE_CHANGED, {
+      actor: { id: null, role: "cli", email: null },
+      target: { type: "student", id: studentDoc.id },
+      before: { role: studentDoc.data().role || "user" },
+      after: { role },
+      details: { email, via: "make-admin" }
+    });
+  }
+
+  console.log(`✅ ${email} is now ${labels[role]}. Log in again for it to take effect.`);
+} catch (err) {
+  console.error("❌ Failed to update role:", err);
+  process.exitCode = 1;
+} finally {
+  process.exit();
+}
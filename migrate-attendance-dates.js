@@ -0,0 +1,50 @@
+import { collection, getDocs, writeBatch } from "firebase/firestore";
+import { db } from "./models/firebase.js";
+import { CAMPUS_TIMEZONE, dateKeyFor } from "./utils/campusTime.js";
+
+// Usage: npm run migrate-attendance-dates -- [--dry-run]
+// Recomputes each attendance record's `date` from its timestamp on the campus clock.
+// Document ids keep their original day key because ledger entries reference them.
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+// Firestore caps a batch at 500 writes
+const BATCH_SIZE = 500;
+
+try {
+  const snapshot = await getDocs(collection(db, "attendance"));
+  const changes = [];
+  let skipped = 0;
+
+  snapshot.docs.forEach((attendanceDoc) => {
+    const { date, timestamp } = attendanceDoc.data();
+    if (!timestamp?.toDate) {
+      skipped++;
+      return;
+    }
+
+    const correctDate = dateKeyFor(timestamp.toDate());
+    if (correctDate !== date) {
+      changes.push({ ref: attendanceDoc.ref, from: date, to: correctDate });
+    }
+  });
+
+  console.log(`🕒 Campus timezone: ${CAMPUS_TIMEZONE}`);
+  console.log(`📋 ${snapshot.size} attendance record(s), ${changes.length} with a wrong date, ${skipped} without a timestamp`);
+
+  if (dryRun) {
+    changes.forEach(change => console.log(`  ${change.ref.id}: ${change.from} → ${change.to}`));
+    console.log("ℹ️ Dry run, nothing was written.");
+  } else {
+    for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      changes.slice(i, i + BATCH_SIZE).forEach(change => batch.update(change.ref, { date: change.to }));
+      await batch.commit();
+    }
+    console.log(`✅ Updated ${changes.length} attendance record(s).`);
+  }
+} catch (err) {
+  console.error("❌ Failed to migrate attendance dates:", err);
+  process.exitCode = 1;
+} finally {
+  process.exit();
+}
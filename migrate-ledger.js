@@ -0,0 +1,86 @@
+import { collection, doc, getDocs, writeBatch, Timestamp } from "firebase/firestore";
+import { db } from "./models/firebase.js";
+import { LEDGER_COLLECTION } from "./models/pointsLedger.js";
+
+// Usage: npm run migrate-ledger -- [--dry-run]
+// Opens the points ledger of every student that predates the `ledgerOpened` flag. Students
+// whose balance is not covered by their ledger entries get an opening entry for the difference,
+// dated just before their first entry. Run it once with the server stopped.
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+// Firestore caps a batch at 500 writes
+const BATCH_SIZE = 500;
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : null);
+
+try {
+  const [studentsSnapshot, ledgerSnapshot] = await Promise.all([
+    getDocs(collection(db, "students")),
+    getDocs(collection(db, LEDGER_COLLECTION))
+  ]);
+
+  // Sum, earliest date and opening entry of every student's ledger
+  const ledgers = new Map();
+  ledgerSnapshot.docs.forEach((entryDoc) => {
+    const { rfid, delta, createdAt } = entryDoc.data();
+    const ledger = ledgers.get(rfid) || { sum: 0, firstAt: null, opened: false };
+    const at = toMillis(createdAt);
+    ledger.sum += delta || 0;
+    if (at !== null && (ledger.firstAt === null || at < ledger.firstAt)) ledger.firstAt = at;
+    if (entryDoc.id === `opening_${rfid}`) ledger.opened = true;
+    ledgers.set(rfid, ledger);
+  });
+
+  const writes = [];
+  let openings = 0;
+
+  studentsSnapshot.docs.forEach((studentDoc) => {
+    const { points, ledgerOpened } = studentDoc.data();
+    if (ledgerOpened) return;
+
+    const rfid = studentDoc.id;
+    const ledger = ledgers.get(rfid) || { sum: 0, firstAt: null, opened: false };
+    const missing = (points || 0) - ledger.sum;
+
+    if (!ledger.opened) {
+      openings++;
+      writes.push({
+        ref: doc(db, LEDGER_COLLECTION, `opening_${rfid}`),
+        set: {
+          rfid,
+          delta: missing,
+          reason: "opening-balance",
+          balanceBefore: 0,
+          balanceAfter: missing,
+          sourceType: "migration",
+          sourceId: null,
+          actor: { id: null, role: "system" },
+          createdAt: ledger.firstAt === null ? Timestamp.now() : Timestamp.fromMillis(ledger.firstAt - 1)
+        },
+        note: `opening entry of ${missing} point(s)`
+      });
+    } else if (missing !== 0) {
+      console.warn(`⚠️ ${rfid} already has an opening entry but is ${missing} point(s) off its ledger; left as is`);
+    }
+    writes.push({ ref: studentDoc.ref, data: { ledgerOpened: true }, note: "mark ledger opened" });
+  });
+
+  console.log(`📋 ${studentsSnapshot.size} student(s), ${writes.length - openings} to mark opened, ${openings} opening entr${openings === 1 ? "y" : "ies"} to write`);
+
+  if (dryRun) {
+    writes.forEach(write => console.log(`  ${write.ref.path}: ${write.note}`));
+    console.log("ℹ️ Dry run, nothing was written.");
+  } else {
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      writes.slice(i, i + BATCH_SIZE).forEach(write => (write.set ? batch.set(write.ref, write.set) : batch.update(write.ref, write.data)));
+      await batch.commit();
+    }
+    console.log(`✅ Wrote ${writes.length} change(s).`);
+  }
+} catch (err) {
+  console.error("❌ Failed to migrate the points ledger:", err);
+  process.exitCode = 1;
+} finally {
+  process.exit();
+}
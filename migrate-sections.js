@@ -0,0 +1,71 @@
+import { collection, doc, getDocs, writeBatch, Timestamp } from "firebase/firestore";
+import { db } from "./models/firebase.js";
+import { SECTIONS_COLLECTION, SectionModel } from "./models/sectionModel.js";
+
+// Usage: npm run migrate-sections -- [--dry-run]
+// Creates a section document for every section students registered with before sections
+// were managed, and rewrites student and attendance `section` fields to the canonical name.
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+// Firestore caps a batch at 500 writes
+const BATCH_SIZE = 500;
+
+try {
+  const [sectionsSnapshot, studentsSnapshot, attendanceSnapshot] = await Promise.all([
+    getDocs(collection(db, SECTIONS_COLLECTION)),
+    getDocs(collection(db, "students")),
+    getDocs(collection(db, "attendance"))
+  ]);
+
+  const existing = new Set(sectionsSnapshot.docs.map(sectionDoc => sectionDoc.id));
+  const created = new Map();
+  const writes = [];
+
+  // Queue a rename when a record's section is not already canonical
+  const renameSection = (recordDoc) => {
+    const { section } = recordDoc.data();
+    const canonical = SectionModel.normalizeName(section);
+    if (canonical && !canonical.includes("/") && canonical !== section) {
+      writes.push({ ref: recordDoc.ref, data: { section: canonical }, note: `${section} → ${canonical}` });
+    }
+    return canonical;
+  };
+
+  studentsSnapshot.docs.forEach((studentDoc) => {
+    const canonical = renameSection(studentDoc);
+    const { role, year } = studentDoc.data();
+    if (!canonical || canonical.includes("/") || (role || "user") !== "user" || existing.has(canonical)) return;
+
+    // The first student seen sets the year; a mixed section keeps it unset
+    if (!created.has(canonical)) created.set(canonical, year || null);
+    else if (created.get(canonical) !== (year || null)) created.set(canonical, null);
+  });
+  attendanceSnapshot.docs.forEach(renameSection);
+
+  created.forEach((year, name) => {
+    writes.push({
+      ref: doc(db, SECTIONS_COLLECTION, name),
+      set: { year, teacherRfids: [], adviserRfid: null, createdAt: Timestamp.now(), updatedAt: Timestamp.now() },
+      note: `create section (year ${year || "unset"})`
+    });
+  });
+
+  console.log(`📋 ${existing.size} section(s) on file, ${created.size} to create, ${writes.length - created.size} record(s) to rename`);
+
+  if (dryRun) {
+    writes.forEach(write => console.log(`  ${write.ref.path}: ${write.note}`));
+    console.log("ℹ️ Dry run, nothing was written.");
+  } else {
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      writes.slice(i, i + BATCH_SIZE).forEach(write => (write.set ? batch.set(write.ref, write.set) : batch.update(write.ref, write.data)));
+      await batch.commit();
+    }
+    console.log(`✅ Wrote ${writes.length} change(s).`);
+  }
+} catch (err) {
+  console.error("❌ Failed to migrate sections:", err);
+  process.exitCode = 1;
+} finally {
+  process.exit();
+}
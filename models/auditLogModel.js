@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import { db } from "./firebase.js";
+import { collection, doc, getDoc, getDocs, query, orderBy, runTransaction, Timestamp } from "firebase/firestore";
+
+/**
+ * Audit Log Model
+ * Append-only record of sensitive actions. Entries are numbered and each one stores the
+ * hash of the one before it, so editing, deleting or reordering entries breaks the chain
+ * and shows up in verifyChain(). Nothing in the app updates or deletes entries.
+ */
+
+export const AUDIT_LOG_COLLECTION = "auditLog";
+// Sequence number and hash of the newest entry; kept apart so it never shows up as an entry
+const HEAD_REF = doc(db, "auditLogMeta", "head");
+export const GENESIS_HASH = "0".repeat(64);
+
+// Entry ids sort in sequence order
+function entryId(seq) {
+  return String(seq).padStart(12, "0");
+}
+
+// JSON with object keys sorted, so the same entry always hashes the same way
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Firestore rejects undefined and the hash must survive a round trip, so keep plain JSON
+function plain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+export function hashEntry(entry) {
+  const { seq, at, actor, ip, action, target, before, after, details, prevHash } = entry;
+  const atMillis = at instanceof Timestamp ? at.toMillis() : at;
+  return crypto.createHash("sha256")
+    .update(canonicalJson({ seq, at: atMillis, actor, ip, action, target, before, after, details, prevHash }))
+    .digest("hex");
+}
+
+function atMillis(entry) {
+  return entry.at?.toMillis ? entry.at.toMillis() : 0;
+}
+
+/**
+ * Recompute a hash chain against the head it should end at
+ * @param {Array} entries - Every entry with its document id, oldest first
+ * @param {Object} head - { seq, hash } of the newest entry
+ * @returns {Object} - { valid, checked, headSeq, brokenAt, problem }
+ */
+export function verifyEntries(entries, head) {
+  const broken = (seq, problem) => ({ valid: false, checked: entries.length, headSeq: head.seq, brokenAt: seq, problem });
+
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry.seq !== i + 1 || entry.id !== entryId(entry.seq)) return broken(i + 1, "entry missing or out of sequence");
+    if (entry.prevHash !== prevHash) return broken(entry.seq, "does not link to the previous entry");
+    if (hashEntry(entry) !== entry.hash) return broken(entry.seq, "contents changed after it was written");
+    prevHash = entry.hash;
+  }
+
+  // Entries cut off the end would otherwise leave a valid-looking, shorter chain
+  if (head.seq !== entries.length || head.hash !== prevHash) {
+    return broken(entries.length + 1, "newest entries missing");
+  }
+
+  return { valid: true, checked: entries.length, headSeq: head.seq, brokenAt: null, problem: null };
+}
+
+export class AuditLogModel {
+
+  /**
+   * Append an entry to the end of the chain
+   * @param {Object} entry - { actor, ip, action, target, before, after, details }
+   * @returns {Promise<Object>} - The stored entry, with seq, hash and prevHash
+   */
+  static async append({ actor, ip = null, action, target = null, before = null, after = null, details = null }) {
+    try {
+      return await runTransaction(db, async (tx) => {
+        const headSnap = await tx.get(HEAD_REF);
+        const head = headSnap.exists() ? headSnap.data() : { seq: 0, hash: GENESIS_HASH };
+
+        const entry = {
+          seq: head.seq + 1,
+          at: Timestamp.now(),
+          actor: plain(actor),
+          ip,
+          action,
+          target: plain(target),
+          before: plain(before),
+          after: plain(after),
+          details: plain(details),
+          prevHash: head.hash
+        };
+        entry.hash = hashEntry(entry);
+
+        tx.set(doc(db, AUDIT_LOG_COLLECTION, entryId(entry.seq)), entry);
+        tx.set(HEAD_REF, { seq: entry.seq, hash: entry.hash, updatedAt: entry.at });
+        return entry;
+      });
+    } catch (error) {
+      console.error("Error appending audit entry:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Every entry, oldest first
+   * @returns {Promise<Array>}
+   */
+  static async getAll() {
+    const snapshot = await getDocs(query(collection(db, AUDIT_LOG_COLLECTION), orderBy("seq")));
+    return snapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() }));
+  }
+
+  /**
+   * Entries matching the filters, newest first.
+   * Filtered in memory to avoid composite index requirements.
+   * @param {Object} filters - { action (exact or "prefix."), actorId, targetType, targetId, from, to (Dates), limit }
+   * @returns {Promise<Array>}
+   */
+  static async search({ action, actorId, targetType, targetId, from, to, limit } = {}) {
+    try {
+      const entries = (await AuditLogModel.getAll())
+        .filter((entry) => {
+          if (action && entry.action !== action && !(action.endsWith(".") && entry.action.startsWith(action))) return false;
+          if (actorId && entry.actor?.id !== actorId && entry.actor?.email !== actorId) return false;
+          if (targetType && entry.target?.type !== targetType) return false;
+          if (targetId && String(entry.target?.id) !== String(targetId)) return false;
+          if (from && atMillis(entry) < from.getTime()) return false;
+          if (to && atMillis(entry) > to.getTime()) return false;
+          return true;
+        })
+        .reverse();
+
+      return limit ? entries.slice(0, limit) : entries;
+    } catch (error) {
+      console.error("Error searching audit log:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute the hash chain from the first entry to the head
+   * @returns {Promise<Object>} - { valid, checked, headSeq, brokenAt, problem }
+   */
+  static async verifyChain() {
+    const [entries, headSnap] = await Promise.all([AuditLogModel.getAll(), getDoc(HEAD_REF)]);
+    const head = headSnap.exists() ? headSnap.data() : { seq: 0, hash: GENESIS_HASH };
+    return verifyEntries(entries, head);
+  }
+}
@@ -1,12 +1,12 @@
 import fs from "fs";
-import path from "path";
 import adminSDK from "firebase-admin";
+import { config } from "../utils/config.js";
 
 let authAdmin = null;
 let adminAvailable = false;
 
 // Try to locate a service account JSON. Prefer explicit service account for local/server usage.
-const serviceAccountPath = process.env.GOOGLE_APPLICATION_CREDENTIALS || path.join(process.cwd(), "serviceAccountKey.json");
+const serviceAccountPath = config.firebase.serviceAccountPath;
 
 try {
   if (fs.existsSync(serviceAccountPath)) {
@@ -0,0 +1,99 @@
+import { db } from "./firebase.js";
+import { doc, getDoc, updateDoc } from "firebase/firestore";
+
+/**
+ * Notification Model
+ * Each student's notification preferences live on their document as `notificationPrefs`.
+ * Receipts are emailed unless turned off; low-balance and session-ending alerts are opt-in.
+ */
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+  emailReceipts: true,
+  lowBalance: { enabled: false, threshold: 20 },
+  sessionEnding: { enabled: false, minutesBefore: 5 }
+};
+
+export class NotificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "NotificationError";
+    this.status = status;
+  }
+}
+
+function isIntegerBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+export class NotificationModel {
+
+  /**
+   * Stored preferences merged over the defaults
+   * @param {Object} stored - `notificationPrefs` from a student document
+   * @returns {Object}
+   */
+  static withDefaults(stored = {}) {
+    return {
+      emailReceipts: stored.emailReceipts ?? DEFAULT_NOTIFICATION_PREFS.emailReceipts,
+      lowBalance: { ...DEFAULT_NOTIFICATION_PREFS.lowBalance, ...(stored.lowBalance || {}) },
+      sessionEnding: { ...DEFAULT_NOTIFICATION_PREFS.sessionEnding, ...(stored.sessionEnding || {}) }
+    };
+  }
+
+  /**
+   * Validate preferences sent by the dashboard; omitted fields keep their current values
+   * @param {Object} input - Request body
+   * @param {Object} current - Current preferences (with defaults)
+   * @returns {Object} - Complete preferences to store
+   */
+  static validate(input, current) {
+    const prefs = {
+      emailReceipts: input.emailReceipts ?? current.emailReceipts,
+      lowBalance: { ...current.lowBalance, ...(input.lowBalance || {}) },
+      sessionEnding: { ...current.sessionEnding, ...(input.sessionEnding || {}) }
+    };
+    const errors = [];
+
+    if (typeof prefs.emailReceipts !== "boolean") errors.push("emailReceipts must be true or false");
+    if (typeof prefs.lowBalance.enabled !== "boolean") errors.push("lowBalance.enabled must be true or false");
+    if (!isIntegerBetween(prefs.lowBalance.threshold, 1, 10000)) errors.push("lowBalance.threshold must be a whole number from 1 to 10000");
+    if (typeof prefs.sessionEnding.enabled !== "boolean") errors.push("sessionEnding.enabled must be true or false");
+    if (!isIntegerBetween(prefs.sessionEnding.minutesBefore, 1, 60)) errors.push("sessionEnding.minutesBefore must be a whole number from 1 to 60");
+
+    if (errors.length > 0) {
+      throw new NotificationError(errors.join("; "));
+    }
+    return {
+      emailReceipts: prefs.emailReceipts,
+      lowBalance: { enabled: prefs.lowBalance.enabled, threshold: prefs.lowBalance.threshold },
+      sessionEnding: { enabled: prefs.sessionEnding.enabled, minutesBefore: prefs.sessionEnding.minutesBefore }
+    };
+  }
+
+  /**
+   * Who to notify and how
+   * @param {string} rfid - Student RFID
+   * @returns {Promise<Object|null>} - { name, email, prefs }, or null for an unknown student
+   */
+  static async forStudent(rfid) {
+    const studentDoc = await getDoc(doc(db, "students", rfid));
+    if (!studentDoc.exists()) return null;
+
+    const data = studentDoc.data();
+    return {
+      name: data.name || null,
+      email: data.email || null,
+      prefs: NotificationModel.withDefaults(data.notificationPrefs)
+    };
+  }
+
+  /**
+   * Store a student's preferences
+   * @param {string} rfid - Student RFID
+   * @param {Object} prefs - Validated preferences
+   * @returns {Promise<void>}
+   */
+  static async save(rfid, prefs) {
+    await updateDoc(doc(db, "students", rfid), { notificationPrefs: prefs });
+  }
+}
@@ -0,0 +1,166 @@
+import { db } from "./firebase.js";
+import { collection, doc, getDocs, query, where, runTransaction } from "firebase/firestore";
+import { randomUUID } from "crypto";
+import { generateOtp, hashOtp, otpMatches, signResetToken, verifyResetToken } from "../utils/resetToken.js";
+
+/**
+ * Password Reset Model
+ * One document per email in `otps` holds the hashed one-time code, its wrong-guess count
+ * and, once the code is verified, the id of the single reset token it was exchanged for.
+ */
+
+export const OTPS_COLLECTION = "otps";
+
+// Codes expire 10 minutes after they are sent
+export const OTP_TTL_MS = 10 * 60 * 1000;
+
+export class PasswordResetError extends Error {
+  constructor(message, status = 400, retryAfterMs = 0) {
+    super(message);
+    this.name = "PasswordResetError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class PasswordResetModel {
+
+  /**
+   * Issue a new code for an email, replacing any earlier one
+   * @param {string} email - Account email
+   * @param {Object} options - { cooldownMs: minimum time between codes }
+   * @returns {Promise<string>} - The plaintext code, to be emailed and never stored
+   */
+  static async issueCode(email, { cooldownMs = 0 } = {}) {
+    const otpRef = doc(db, OTPS_COLLECTION, email);
+    const code = generateOtp();
+
+    await runTransaction(db, async (tx) => {
+      const previous = await tx.get(otpRef);
+      const waitMs = previous.exists() ? (previous.data().createdAt || 0) + cooldownMs - Date.now() : 0;
+      if (waitMs > 0) {
+        throw new PasswordResetError(
+          `A code was just sent. You can request a new one in ${Math.ceil(waitMs / 1000)} second(s).`, 429, waitMs
+        );
+      }
+
+      tx.set(otpRef, {
+        codeHash: hashOtp(email, code),
+        expiresAt: Date.now() + OTP_TTL_MS,
+        attempts: 0,
+        verified: false,
+        resetTokenId: null,
+        createdAt: Date.now()
+      });
+    });
+
+    return code;
+  }
+
+  /**
+   * Exchange a correct code for a reset token. Wrong guesses are counted on the code and
+   * the last allowed one burns it; a verified code cannot be verified again.
+   * @param {string} email - Account email
+   * @param {string} code - Submitted code
+   * @param {Object} options - { maxAttempts }
+   * @returns {Promise<Object>} - { token, expiresAt }
+   */
+  static async verifyCode(email, code, { maxAttempts }) {
+    const otpRef = doc(db, OTPS_COLLECTION, email);
+    const tokenId = randomUUID();
+
+    const outcome = await runTransaction(db, async (tx) => {
+      const snap = await tx.get(otpRef);
+      if (!snap.exists()) throw new PasswordResetError("No OTP found");
+      const data = snap.data();
+      if (data.verified) throw new PasswordResetError("OTP already used");
+      if (data.invalidated) throw new PasswordResetError("Too many wrong codes. Request a new one.");
+      if (Date.now() > (data.expiresAt || 0)) throw new PasswordResetError("OTP expired");
+
+      if (!otpMatches(data.codeHash, email, code)) {
+        const attempts = (data.attempts || 0) + 1;
+        const attemptsLeft = Math.max(maxAttempts - attempts, 0);
+        tx.update(otpRef, attemptsLeft > 0 ? { attempts } : { attempts, invalidated: true, codeHash: null });
+        // Returned rather than thrown so the attempt count is committed
+        return { attemptsLeft };
+      }
+
+      tx.update(otpRef, { verified: true, verifiedAt: Date.now(), codeHash: null, resetTokenId: tokenId });
+      return { verified: true };
+    });
+
+    if (!outcome.verified) {
+      const error = new PasswordResetError(outcome.attemptsLeft > 0
+        ? `Invalid code. ${outcome.attemptsLeft} attempt(s) left.`
+        : "Too many wrong codes. Request a new one.");
+      error.attemptsLeft = outcome.attemptsLeft;
+      throw error;
+    }
+
+    return signResetToken({ email, tokenId });
+  }
+
+  /**
+   * Use a reset token: in one transaction the token is consumed and the account's
+   * password hash replaced, so a token can change the password at most once.
+   * @param {string} token - Signed reset token
+   * @param {string} passwordHash - bcrypt hash of the new password
+   * @returns {Promise<Object>} - { rfid, authUid, tokenId, email, previousHash } for restoreReset
+   */
+  static async consumeResetToken(token, passwordHash) {
+    const claims = verifyResetToken(token);
+    if (!claims) throw new PasswordResetError("Reset link is invalid or has expired. Request a new code.", 401);
+
+    const accounts = await getDocs(query(collection(db, "students"), where("email", "==", claims.email)));
+    if (accounts.empty) throw new PasswordResetError("User not found", 404);
+    const studentRef = accounts.docs[0].ref;
+    const otpRef = doc(db, OTPS_COLLECTION, claims.email);
+
+    return runTransaction(db, async (tx) => {
+      const otpSnap = await tx.get(otpRef);
+      const studentSnap = await tx.get(studentRef);
+
+      if (!otpSnap.exists() || otpSnap.data().resetTokenId !== claims.tokenId) {
+        throw new PasswordResetError("Reset link has already been used. Request a new code.", 401);
+      }
+      if (!studentSnap.exists() || studentSnap.data().email !== claims.email) {
+        throw new PasswordResetError("User not found", 404);
+      }
+
+      tx.update(studentRef, { passwordHash });
+      tx.update(otpRef, { resetTokenId: null, usedAt: Date.now() });
+      return {
+        rfid: studentRef.id,
+        authUid: studentSnap.data().authUid || null,
+        tokenId: claims.tokenId,
+        email: claims.email,
+        previousHash: studentSnap.data().passwordHash || null
+      };
+    });
+  }
+
+  /**
+   * Undo consumeResetToken when the sign-in password could not be changed to match:
+   * the old hash comes back and the token can be used again until it expires
+   * @param {Object} reset - Result of consumeResetToken
+   * @param {string} passwordHash - Hash that consumeResetToken wrote
+   * @returns {Promise<void>}
+   */
+  static async restoreReset(reset, passwordHash) {
+    const studentRef = doc(db, "students", reset.rfid);
+    const otpRef = doc(db, OTPS_COLLECTION, reset.email);
+
+    await runTransaction(db, async (tx) => {
+      const studentSnap = await tx.get(studentRef);
+      const otpSnap = await tx.get(otpRef);
+
+      // Leave anything changed since alone
+      if (studentSnap.exists() && studentSnap.data().passwordHash === passwordHash) {
+        tx.update(studentRef, { passwordHash: reset.previousHash });
+      }
+      if (otpSnap.exists() && otpSnap.data().resetTokenId === null && otpSnap.data().verified) {
+        tx.update(otpRef, { resetTokenId: reset.tokenId, usedAt: null });
+      }
+    });
+  }
+}
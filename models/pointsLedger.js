@@ -0,0 +1,232 @@
+import { db } from "./firebase.js";
+import { collection, doc, query, where, getDocs, runTransaction, Timestamp } from "firebase/firestore";
+import { publish, EVENTS } from "../utils/liveEvents.js";
+
+/**
+ * Points Ledger
+ * Every change to a student's balance goes through this module. Balance updates
+ * run inside Firestore transactions and each one appends an immutable entry to
+ * the `pointsLedger` collection, so the balance can be re-derived at any time.
+ */
+
+export const LEDGER_COLLECTION = "pointsLedger";
+
+export class InsufficientPointsError extends Error {
+  constructor(message = "Insufficient points") {
+    super(message);
+    this.name = "InsufficientPointsError";
+  }
+}
+
+// Opening entries get a fixed id, so a student can only ever have one
+function openingRef(rfid) {
+  return doc(db, LEDGER_COLLECTION, `opening_${rfid}`);
+}
+
+// Record the balance a student had before their first ledger entry and flag their
+// ledger as opened. `createdAt` sorts the opening entry before the entries that follow.
+function writeOpeningEntry(tx, studentSnap, createdAt) {
+  const balance = studentSnap.data().points || 0;
+  tx.set(openingRef(studentSnap.id), {
+    rfid: studentSnap.id,
+    delta: balance,
+    reason: "opening-balance",
+    balanceBefore: 0,
+    balanceAfter: balance,
+    sourceType: "migration",
+    sourceId: null,
+    actor: { id: null, role: "system" },
+    createdAt
+  });
+}
+
+export class PointsLedger {
+
+  /**
+   * Build the actor recorded on ledger entries from an Express request
+   * @param {Object} req - Express request (may be undefined for system actions)
+   * @returns {Object} - { id, role }
+   */
+  static actorFromRequest(req) {
+    if (!req || !req.session || !req.session.userId) {
+      return { id: null, role: "system" };
+    }
+    return { id: req.session.userId, role: req.session.role || "user" };
+  }
+
+  /**
+   * Apply a balance change inside an already running Firestore transaction.
+   * All reads of the caller's transaction must happen before this is called.
+   * A student whose ledger is not opened yet (`ledgerOpened`) gets their opening entry first.
+   * @param {Object} tx - Firestore transaction
+   * @param {Object} studentSnap - Snapshot of the student, read through `tx`
+   * @param {Object} entry - { delta, reason, sourceType, sourceId, actor, allowNegative, studentUpdates }
+   * @returns {Object} - { entryId, balanceBefore, balanceAfter }
+   */
+  static applyInTransaction(tx, studentSnap, entry) {
+    const {
+      delta,
+      reason,
+      sourceType = null,
+      sourceId = null,
+      actor = { id: null, role: "system" },
+      allowNegative = false,
+      studentUpdates = {}
+    } = entry;
+
+    if (!Number.isInteger(delta)) {
+      throw new Error("Points delta must be an integer");
+    }
+    if (!reason) {
+      throw new Error("A reason is required for every points change");
+    }
+    if (!studentSnap.exists()) {
+      throw new Error("Student not found");
+    }
+
+    const balanceBefore = studentSnap.data().points || 0;
+    const balanceAfter = balanceBefore + delta;
+
+    if (balanceAfter < 0 && !allowNegative) {
+      throw new InsufficientPointsError();
+    }
+
+    const entryRef = doc(collection(db, LEDGER_COLLECTION));
+    const now = Timestamp.now();
+    const opening = !studentSnap.data().ledgerOpened;
+
+    if (opening) {
+      writeOpeningEntry(tx, studentSnap, Timestamp.fromMillis(now.toMillis() - 1));
+    }
+    tx.update(studentSnap.ref, {
+      ...studentUpdates,
+      ...(opening ? { ledgerOpened: true } : {}),
+      points: balanceAfter
+    });
+
+    // Ledger entries are write-once: nothing in the app updates or deletes them
+    tx.set(entryRef, {
+      rfid: studentSnap.id,
+      delta,
+      reason,
+      balanceBefore,
+      balanceAfter,
+      sourceType,
+      sourceId,
+      actor,
+      createdAt: now
+    });
+
+    return { entryId: entryRef.id, balanceBefore, balanceAfter };
+  }
+
+  /**
+   * Credit or debit a student's points atomically
+   * @param {string} rfid - Student RFID
+   * @param {number} delta - Signed integer change (negative for debits)
+   * @param {Object} meta - { reason, sourceType, sourceId, actor, allowNegative }
+   * @returns {Promise<Object>} - { entryId, balanceBefore, balanceAfter }
+   */
+  static async adjust(rfid, delta, meta) {
+    try {
+      const studentRef = doc(db, "students", rfid);
+      const result = await runTransaction(db, async (tx) => {
+        const studentSnap = await tx.get(studentRef);
+        return PointsLedger.applyInTransaction(tx, studentSnap, { ...meta, delta });
+      });
+
+      publish(EVENTS.POINTS_CHANGED, { balance: result.balanceAfter, delta, reason: meta.reason }, { rfid });
+      return result;
+    } catch (error) {
+      console.error("Error adjusting points:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a student's existing balance as an opening entry if their ledger is not opened yet.
+   * Lets balances that predate the ledger be re-derived; safe to call repeatedly.
+   * @param {string} rfid - Student RFID
+   * @returns {Promise<boolean>} - True if an opening entry was written
+   */
+  static async ensureOpeningEntry(rfid) {
+    try {
+      const studentRef = doc(db, "students", rfid);
+
+      return await runTransaction(db, async (tx) => {
+        const studentSnap = await tx.get(studentRef);
+        if (!studentSnap.exists() || studentSnap.data().ledgerOpened) return false;
+
+        writeOpeningEntry(tx, studentSnap, Timestamp.now());
+        tx.update(studentRef, { ledgerOpened: true });
+        return true;
+      });
+    } catch (error) {
+      console.error("Error writing opening ledger entry:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get ledger entries for a student, newest first
+   * @param {string} rfid - Student RFID
+   * @param {number} limitCount - Number of entries to return
+   * @returns {Promise<Array>} - Array of ledger entries
+   */
+  static async getEntries(rfid, limitCount = 100) {
+    try {
+      // Sorted manually to avoid a composite index requirement
+      const q = query(collection(db, LEDGER_COLLECTION), where("rfid", "==", rfid));
+      const querySnapshot = await getDocs(q);
+      const entries = [];
+
+      querySnapshot.forEach((doc) => {
+        entries.push({ id: doc.id, ...doc.data() });
+      });
+
+      entries.sort((a, b) => {
+        const timeA = a.createdAt?.toMillis ? a.createdAt.toMillis() : 0;
+        const timeB = b.createdAt?.toMillis ? b.createdAt.toMillis() : 0;
+        return timeB - timeA;
+      });
+
+      return limitCount ? entries.slice(0, limitCount) : entries;
+    } catch (error) {
+      console.error("Error getting ledger entries:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-derive a student's balance by summing every ledger entry
+   * @param {string} rfid - Student RFID
+   * @returns {Promise<number>} - Derived balance
+   */
+  static async deriveBalance(rfid) {
+    const entries = await PointsLedger.getEntries(rfid, 0);
+    return entries.reduce((sum, entry) => sum + (entry.delta || 0), 0);
+  }
+
+  /**
+   * Full statement for a student: entries plus stored vs derived balance
+   * @param {string} rfid - Student RFID
+   * @param {number} currentBalance - Balance stored on the student document
+   * @param {number} limitCount - Number of entries to return
+   * @returns {Promise<Object>} - { entries, currentBalance, derivedBalance, consistent, totalCredits, totalDebits }
+   */
+  static async getStatement(rfid, currentBalance, limitCount = 100) {
+    const allEntries = await PointsLedger.getEntries(rfid, 0);
+    const derivedBalance = allEntries.reduce((sum, entry) => sum + (entry.delta || 0), 0);
+    const totalCredits = allEntries.filter(e => e.delta > 0).reduce((sum, e) => sum + e.delta, 0);
+    const totalDebits = allEntries.filter(e => e.delta < 0).reduce((sum, e) => sum - e.delta, 0);
+
+    return {
+      entries: limitCount ? allEntries.slice(0, limitCount) : allEntries,
+      currentBalance,
+      derivedBalance,
+      consistent: derivedBalance === currentBalance,
+      totalCredits,
+      totalDebits
+    };
+  }
+}
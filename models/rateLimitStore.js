@@ -0,0 +1,58 @@
+import { db } from "./firebase.js";
+import { doc, getDoc, runTransaction, deleteDoc, Timestamp } from "firebase/firestore";
+
+/**
+ * Rate Limit Store (Firestore)
+ * Persistent backing for utils/rateLimiter.js so counters and lockouts survive restarts
+ * and are shared between stations. One document per counter in `rateLimits`; `expiresAt`
+ * can be used as a Firestore TTL field to clean up old documents.
+ */
+
+export const RATE_LIMITS_COLLECTION = "rateLimits";
+
+// Counter keys contain emails and IPs; document ids may not contain "/"
+function counterRef(key) {
+  return doc(db, RATE_LIMITS_COLLECTION, encodeURIComponent(key));
+}
+
+// Entry of a counter document, or null once it has expired
+function liveEntry(snap) {
+  return snap.exists() && snap.data().expiresAt.toMillis() > Date.now() ? snap.data().entry : null;
+}
+
+export class FirestoreRateLimitStore {
+
+  /**
+   * Current entry of a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    return liveEntry(await getDoc(counterRef(key)));
+  }
+
+  /**
+   * Read, change and write a counter in one transaction
+   * @param {string} key - Counter key
+   * @param {Function} mutate - (entry|null) => new entry
+   * @param {number} ttlMs - How long the new entry must be kept
+   * @returns {Promise<Object>} - The new entry
+   */
+  async update(key, mutate, ttlMs) {
+    const ref = counterRef(key);
+    return runTransaction(db, async (tx) => {
+      const entry = mutate(liveEntry(await tx.get(ref)));
+      tx.set(ref, { entry, expiresAt: Timestamp.fromMillis(Date.now() + ttlMs) });
+      return entry;
+    });
+  }
+
+  /**
+   * Forget a counter
+   * @param {string} key - Counter key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await deleteDoc(counterRef(key));
+  }
+}
@@ -0,0 +1,97 @@
+import { db } from "./firebase.js";
+import { collection, doc, getDoc, getDocs, query, where, updateDoc, Timestamp } from "firebase/firestore";
+
+/**
+ * Receipt Model
+ * One receipt per finished charging session in `receipts`, keyed by transaction id.
+ * Receipts are written in the same Firestore transaction that ends the session, so
+ * every completed or cancelled transaction has exactly one.
+ */
+
+export const RECEIPTS_COLLECTION = "receipts";
+
+export class ReceiptModel {
+
+  /**
+   * Receipt fields for an ended transaction
+   * @param {Object} transaction - Transaction data including id and its end-of-session updates
+   * @param {number|null} balanceAfter - Student balance once the session is settled
+   * @returns {Object}
+   */
+  static fromTransaction(transaction, balanceAfter) {
+    const pointsRefunded = transaction.pointsRefunded || 0;
+    return {
+      transactionId: transaction.id,
+      rfid: transaction.rfid,
+      studentName: transaction.studentName || null,
+      socketNumber: transaction.socketNumber,
+      socketLabel: transaction.socketType || null,
+      status: transaction.status,
+      endReason: transaction.endReason || null,
+      startTime: transaction.startTime || null,
+      endTime: transaction.actualEndTime || null,
+      durationSeconds: transaction.duration ?? null,
+      pointsPaid: transaction.pointsUsed || 0,
+      pointsRefunded,
+      pointsCharged: transaction.actualPointsUsed ?? (transaction.pointsUsed || 0) - pointsRefunded,
+      energyWh: transaction.energyWh ?? null,
+      balanceAfter: balanceAfter ?? null,
+      emailedAt: null
+    };
+  }
+
+  /**
+   * Write a transaction's receipt (call after every read in `tx`)
+   * @param {Object} tx - Firestore transaction
+   * @param {Object} transaction - Ended transaction data including id
+   * @param {number|null} balanceAfter - Student balance once the session is settled
+   */
+  static writeInTransaction(tx, transaction, balanceAfter) {
+    tx.set(doc(db, RECEIPTS_COLLECTION, transaction.id), {
+      ...ReceiptModel.fromTransaction(transaction, balanceAfter),
+      createdAt: Timestamp.now()
+    });
+  }
+
+  /**
+   * Receipt of a transaction. Sessions that ended before receipts existed get one
+   * built from the transaction, without the balance.
+   * @param {string} transactionId - The transaction ID
+   * @returns {Promise<Object|null>} - null if the session has not ended
+   */
+  static async get(transactionId) {
+    const receiptDoc = await getDoc(doc(db, RECEIPTS_COLLECTION, transactionId));
+    if (receiptDoc.exists()) {
+      return { id: receiptDoc.id, ...receiptDoc.data() };
+    }
+
+    const transactionDoc = await getDoc(doc(db, "transactions", transactionId));
+    if (!transactionDoc.exists() || transactionDoc.data().status === "in-progress") {
+      return null;
+    }
+    return { id: transactionId, ...ReceiptModel.fromTransaction({ id: transactionId, ...transactionDoc.data() }, null) };
+  }
+
+  /**
+   * A student's receipts, newest first
+   * @param {string} rfid - Student RFID
+   * @param {number} limitCount - Maximum receipts returned
+   * @returns {Promise<Array>}
+   */
+  static async listForStudent(rfid, limitCount = 20) {
+    const querySnapshot = await getDocs(query(collection(db, RECEIPTS_COLLECTION), where("rfid", "==", rfid)));
+    return querySnapshot.docs
+      .map(receiptDoc => ({ id: receiptDoc.id, ...receiptDoc.data() }))
+      .sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0))
+      .slice(0, limitCount);
+  }
+
+  /**
+   * Record that the receipt was emailed
+   * @param {string} transactionId - The transaction ID
+   * @returns {Promise<void>}
+   */
+  static async markEmailed(transactionId) {
+    await updateDoc(doc(db, RECEIPTS_COLLECTION, transactionId), { emailedAt: Timestamp.now() });
+  }
+}
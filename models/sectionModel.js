@@ -0,0 +1,231 @@
+import { db } from "./firebase.js";
+import { collection, doc, getDoc, getDocs, query, where, runTransaction, arrayUnion, arrayRemove, Timestamp } from "firebase/firestore";
+
+/**
+ * Section Model
+ * One document per section in `sections`, keyed by its canonical name (e.g. "BSIT-2A").
+ * Students keep the canonical name in their `section` field so existing queries keep
+ * working; teachers are linked by RFID in `teacherRfids`, one of them optionally the adviser.
+ */
+
+export const SECTIONS_COLLECTION = "sections";
+
+// Roles that can be assigned to teach a section
+const TEACHING_ROLES = ["teacher", "admin"];
+
+export class SectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SectionError";
+    this.status = status;
+  }
+}
+
+function toSection(sectionDoc) {
+  const data = sectionDoc.data();
+  return {
+    name: sectionDoc.id,
+    year: data.year || null,
+    teacherRfids: data.teacherRfids || [],
+    adviserRfid: data.adviserRfid || null,
+    createdAt: data.createdAt || null
+  };
+}
+
+export class SectionModel {
+
+  /**
+   * Canonical form of a section name: trimmed, upper case, words joined by "-"
+   * ("bsit 2a" and "BSIT_2A" both become "BSIT-2A")
+   * @param {string} raw - Section as typed
+   * @returns {string|null}
+   */
+  static normalizeName(raw) {
+    if (typeof raw !== "string") return null;
+    const name = raw.trim().toUpperCase().replace(/[\s_-]+/g, "-").replace(/^-|-$/g, "");
+    return name || null;
+  }
+
+  /**
+   * All sections, sorted by name
+   * @returns {Promise<Array>}
+   */
+  static async list() {
+    const querySnapshot = await getDocs(collection(db, SECTIONS_COLLECTION));
+    return querySnapshot.docs.map(toSection).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Look up a section by any spelling of its name
+   * @param {string} name - Section name
+   * @returns {Promise<Object|null>}
+   */
+  static async get(name) {
+    const canonical = SectionModel.normalizeName(name);
+    if (!canonical) return null;
+
+    const sectionDoc = await getDoc(doc(db, SECTIONS_COLLECTION, canonical));
+    return sectionDoc.exists() ? toSection(sectionDoc) : null;
+  }
+
+  /**
+   * Create a section
+   * @param {Object} data - { name, year }
+   * @returns {Promise<Object>} - The new section
+   */
+  static async create({ name, year }) {
+    const canonical = SectionModel.normalizeName(name);
+    if (!canonical || canonical.includes("/")) {
+      throw new SectionError("Section name is required and cannot contain \"/\"");
+    }
+    if (year !== undefined && year !== null && year !== "" && !/^[1-9]$/.test(String(year))) {
+      throw new SectionError("Year must be a single digit");
+    }
+
+    const sectionRef = doc(db, SECTIONS_COLLECTION, canonical);
+    await runTransaction(db, async (tx) => {
+      const existing = await tx.get(sectionRef);
+      if (existing.exists()) {
+        throw new SectionError(`Section ${canonical} already exists`, 409);
+      }
+      tx.set(sectionRef, {
+        year: year ? String(year) : null,
+        teacherRfids: [],
+        adviserRfid: null,
+        createdAt: Timestamp.now(),
+        updatedAt: Timestamp.now()
+      });
+    });
+
+    return SectionModel.get(canonical);
+  }
+
+  /**
+   * Assign a teacher to a section. Plain user accounts are promoted to the teacher role.
+   * @param {string} name - Section name
+   * @param {string} teacherRfid - Account document id of the teacher
+   * @param {Object} options - { adviser: make them the section adviser }
+   * @returns {Promise<Object>} - The updated section
+   */
+  static async assignTeacher(name, teacherRfid, { adviser = false } = {}) {
+    const canonical = SectionModel.normalizeName(name);
+    if (!canonical) throw new SectionError("Section not found", 404);
+    const sectionRef = doc(db, SECTIONS_COLLECTION, canonical);
+    const teacherRef = doc(db, "students", teacherRfid);
+
+    await runTransaction(db, async (tx) => {
+      const sectionSnap = await tx.get(sectionRef);
+      const teacherSnap = await tx.get(teacherRef);
+
+      if (!sectionSnap.exists()) throw new SectionError("Section not found", 404);
+      if (!teacherSnap.exists()) throw new SectionError("Teacher account not found", 404);
+
+      if (!TEACHING_ROLES.includes(teacherSnap.data().role)) {
+        tx.update(teacherRef, { role: "teacher" });
+      }
+
+      const updates = { teacherRfids: arrayUnion(teacherRfid), updatedAt: Timestamp.now() };
+      if (adviser) updates.adviserRfid = teacherRfid;
+      tx.update(sectionRef, updates);
+    });
+
+    return SectionModel.get(canonical);
+  }
+
+  /**
+   * Remove a teacher from a section (their role is left unchanged)
+   * @param {string} name - Section name
+   * @param {string} teacherRfid - Account document id of the teacher
+   * @returns {Promise<Object>} - The updated section
+   */
+  static async removeTeacher(name, teacherRfid) {
+    const canonical = SectionModel.normalizeName(name);
+    if (!canonical) throw new SectionError("Section not found", 404);
+    const sectionRef = doc(db, SECTIONS_COLLECTION, canonical);
+
+    await runTransaction(db, async (tx) => {
+      const sectionSnap = await tx.get(sectionRef);
+      if (!sectionSnap.exists()) throw new SectionError("Section not found", 404);
+
+      const updates = { teacherRfids: arrayRemove(teacherRfid), updatedAt: Timestamp.now() };
+      if (sectionSnap.data().adviserRfid === teacherRfid) updates.adviserRfid = null;
+      tx.update(sectionRef, updates);
+    });
+
+    return SectionModel.get(canonical);
+  }
+
+  /**
+   * Enroll a student in a section; the section's year, if set, replaces the student's
+   * @param {string} name - Section name
+   * @param {string} rfid - Student RFID
+   * @returns {Promise<Object>} - { rfid, section, year }
+   */
+  static async enrollStudent(name, rfid) {
+    const canonical = SectionModel.normalizeName(name);
+    if (!canonical) throw new SectionError("Section not found", 404);
+    const sectionRef = doc(db, SECTIONS_COLLECTION, canonical);
+    const studentRef = doc(db, "students", rfid);
+
+    return runTransaction(db, async (tx) => {
+      const sectionSnap = await tx.get(sectionRef);
+      const studentSnap = await tx.get(studentRef);
+
+      if (!sectionSnap.exists()) throw new SectionError("Section not found", 404);
+      if (!studentSnap.exists()) throw new SectionError("Student not found", 404);
+
+      const year = sectionSnap.data().year || studentSnap.data().year || null;
+      tx.update(studentRef, { section: canonical, year });
+      return { rfid, section: canonical, year };
+    });
+  }
+
+  /**
+   * Students enrolled in a section with their balances
+   * @param {string} name - Canonical section name
+   * @returns {Promise<Array>} - [{ rfid, name, email, year, points }]
+   */
+  static async roster(name) {
+    const querySnapshot = await getDocs(query(collection(db, "students"), where("section", "==", name)));
+    return querySnapshot.docs
+      .map((studentDoc) => {
+        const data = studentDoc.data();
+        return {
+          rfid: studentDoc.id,
+          name: data.name || null,
+          email: data.email || null,
+          year: data.year || null,
+          points: data.points || 0,
+          role: data.role || "user"
+        };
+      })
+      .filter(student => student.role === "user")
+      .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  }
+
+  /**
+   * Names of the sections a teacher is assigned to
+   * @param {string} teacherRfid - Account document id of the teacher
+   * @returns {Promise<Array<string>>}
+   */
+  static async sectionsForTeacher(teacherRfid) {
+    const querySnapshot = await getDocs(query(
+      collection(db, SECTIONS_COLLECTION),
+      where("teacherRfids", "array-contains", teacherRfid)
+    ));
+    return querySnapshot.docs.map(sectionDoc => sectionDoc.id).sort();
+  }
+
+  /**
+   * Sections whose students the signed-in account may see:
+   * null for admins (every section), assigned sections for teachers, none otherwise
+   * @param {Object} req - Express request
+   * @returns {Promise<Array<string>|null>}
+   */
+  static async visibleSections(req) {
+    const role = req.session?.role;
+    if (role === "admin") return null;
+    if (role === "teacher" && req.session.rfid) return SectionModel.sectionsForTeacher(req.session.rfid);
+    return [];
+  }
+}
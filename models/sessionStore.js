@@ -0,0 +1,116 @@
+import { db } from "./firebase.js";
+import {
+  collection, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, query, where, limit, writeBatch, Timestamp
+} from "firebase/firestore";
+
+/**
+ * Session Store (Firestore)
+ * Backing for utils/sessionStore.js when several stations share logins. One document
+ * per session in `sessions`, keyed by a hash of the session id so the cookie value is
+ * never stored. `expiresAt` can also be used as a Firestore TTL field.
+ */
+
+export const SESSIONS_COLLECTION = "sessions";
+
+// Batched deletes are capped at 500 writes
+const SWEEP_BATCH_SIZE = 500;
+
+function sessionRef(key) {
+  return doc(db, SESSIONS_COLLECTION, key);
+}
+
+function toRecord(snap) {
+  const data = snap.data();
+  return {
+    key: snap.id,
+    session: JSON.parse(data.data),
+    expiresAt: data.expiresAt.toMillis(),
+    lastSeenAt: data.lastSeenAt.toMillis()
+  };
+}
+
+export class FirestoreSessionStore {
+
+  /**
+   * Stored session record
+   * @param {string} key - Hashed session id
+   * @returns {Promise<Object|null>} - { key, session, expiresAt, lastSeenAt }
+   */
+  async get(key) {
+    const snap = await getDoc(sessionRef(key));
+    return snap.exists() ? toRecord(snap) : null;
+  }
+
+  /**
+   * Save a session. Session data is kept as JSON so cookie dates and
+   * undefined fields survive the round trip.
+   * @param {string} key - Hashed session id
+   * @param {Object} record - { session, expiresAt, lastSeenAt }
+   * @returns {Promise<void>}
+   */
+  async set(key, { session, expiresAt, lastSeenAt }) {
+    await setDoc(sessionRef(key), {
+      data: JSON.stringify(session),
+      expiresAt: Timestamp.fromMillis(expiresAt),
+      lastSeenAt: Timestamp.fromMillis(lastSeenAt)
+    });
+  }
+
+  /**
+   * Move a session's expiry without rewriting its data
+   * @param {string} key - Hashed session id
+   * @param {number} expiresAt - New expiry (ms)
+   * @param {number} lastSeenAt - Time of the request (ms)
+   * @returns {Promise<void>}
+   */
+  async touch(key, expiresAt, lastSeenAt) {
+    try {
+      await updateDoc(sessionRef(key), {
+        expiresAt: Timestamp.fromMillis(expiresAt),
+        lastSeenAt: Timestamp.fromMillis(lastSeenAt)
+      });
+    } catch (err) {
+      // Revoked or swept in the meantime; nothing to extend
+      if (err.code !== "not-found") throw err;
+    }
+  }
+
+  /**
+   * Remove a session
+   * @param {string} key - Hashed session id
+   * @returns {Promise<void>}
+   */
+  async destroy(key) {
+    await deleteDoc(sessionRef(key));
+  }
+
+  /**
+   * Every unexpired session
+   * @returns {Promise<Array>} - Records as returned by get()
+   */
+  async all() {
+    const snapshot = await getDocs(query(
+      collection(db, SESSIONS_COLLECTION),
+      where("expiresAt", ">", Timestamp.now())
+    ));
+    return snapshot.docs.map(toRecord);
+  }
+
+  /**
+   * Delete expired sessions, one batch per call
+   * @returns {Promise<number>} - How many were removed
+   */
+  async sweep() {
+    const snapshot = await getDocs(query(
+      collection(db, SESSIONS_COLLECTION),
+      where("expiresAt", "<=", Timestamp.now()),
+      limit(SWEEP_BATCH_SIZE)
+    ));
+    if (snapshot.empty) return 0;
+
+    const batch = writeBatch(db);
+    snapshot.docs.forEach(docSnap => batch.delete(docSnap.ref));
+    await batch.commit();
+    return snapshot.size;
+  }
+}
@@ -0,0 +1,89 @@
+import { db } from "./firebase.js";
+import { doc, Timestamp } from "firebase/firestore";
+
+/**
+ * Socket Lock Model
+ * One document per socket in `socketLocks` records which transaction currently
+ * owns the socket. Locks are claimed and released inside the same Firestore
+ * transactions that start and end charging sessions.
+ */
+
+export const SOCKET_LOCKS_COLLECTION = "socketLocks";
+
+export class SocketBusyError extends Error {
+  constructor(socketNumber) {
+    super(`Socket ${socketNumber} is already in use`);
+    this.name = "SocketBusyError";
+    this.socketNumber = socketNumber;
+  }
+}
+
+export class SocketLockModel {
+
+  /**
+   * Read a socket's lock through a Firestore transaction.
+   * A lock whose transaction is no longer in-progress is reported as free.
+   * @param {Object} tx - Firestore transaction
+   * @param {number} socketNumber - Socket id
+   * @returns {Promise<Object>} - { ref, lock, held }
+   */
+  static async readInTransaction(tx, socketNumber) {
+    const ref = doc(db, SOCKET_LOCKS_COLLECTION, String(socketNumber));
+    const snap = await tx.get(ref);
+
+    if (!snap.exists()) {
+      return { ref, lock: null, held: false };
+    }
+
+    const lock = snap.data();
+    const ownerSnap = await tx.get(doc(db, "transactions", lock.transactionId));
+    const held = ownerSnap.exists() && ownerSnap.data().status === "in-progress";
+
+    return { ref, lock, held };
+  }
+
+  /**
+   * Claim a socket for a transaction (call after every read in `tx`)
+   * @param {Object} tx - Firestore transaction
+   * @param {Object} lockState - Result of readInTransaction
+   * @param {number} socketNumber - Socket id
+   * @param {Object} owner - { transactionId, rfid, studentName, expectedEndTime }
+   */
+  static claim(tx, lockState, socketNumber, owner) {
+    if (lockState.held) {
+      throw new SocketBusyError(socketNumber);
+    }
+
+    tx.set(lockState.ref, {
+      socketNumber,
+      transactionId: owner.transactionId,
+      rfid: owner.rfid,
+      studentName: owner.studentName || null,
+      expectedEndTime: owner.expectedEndTime || null,
+      claimedAt: Timestamp.now()
+    });
+  }
+
+  /**
+   * Whether a transaction still owns its socket. Sessions started before socket locks
+   * existed have no lock; nobody else has claimed the socket then either.
+   * @param {Object} lockState - Result of readInTransaction
+   * @param {string} transactionId - Transaction to check
+   * @returns {boolean}
+   */
+  static ownedBy(lockState, transactionId) {
+    return !lockState.lock || lockState.lock.transactionId === transactionId;
+  }
+
+  /**
+   * Release a socket if it is still held by the given transaction
+   * @param {Object} tx - Firestore transaction
+   * @param {Object} lockState - Result of readInTransaction
+   * @param {string} transactionId - Transaction that is ending
+   */
+  static release(tx, lockState, transactionId) {
+    if (lockState.lock && lockState.lock.transactionId === transactionId) {
+      tx.delete(lockState.ref);
+    }
+  }
+}
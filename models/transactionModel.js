@@ -1,5 +1,19 @@
 import { db } from "./firebase.js";
-import { collection, addDoc, doc, getDoc, updateDoc, query, where, getDocs, orderBy, limit, Timestamp } from "firebase/firestore";
+import { collection, addDoc, doc, getDoc, updateDoc, query, where, getDocs, orderBy, limit, Timestamp, arrayUnion, runTransaction } from "firebase/firestore";
+import { PointsLedger } from "./pointsLedger.js";
+import { SocketLockModel } from "./socketLockModel.js";
+import { ReceiptModel } from "./receiptModel.js";
+import { computeRefund } from "../utils/tariffEngine.js";
+import { publish, EVENTS } from "../utils/liveEvents.js";
+
+// Stored meter totals plus newly measured ones; the peak is the larger of the two
+function addMeterTotals(stored, measured) {
+  return {
+    energyWh: Math.round(((stored.energyWh || 0) + measured.energyWh) * 10000) / 10000,
+    peakWatts: Math.max(stored.peakWatts || 0, measured.peakWatts),
+    sampleCount: (stored.sampleCount || 0) + measured.sampleCount
+  };
+}
 
 /**
  * Transaction Model for Charging Station
@@ -21,57 +35,75 @@ export class TransactionModel {
         email,
         pointsToSpend,
         socketType,
+        chargerType,
         socketNumber,
         startTime,
         expectedEndTime,
-        status = "in-progress"
+        tariff,
+        status = "in-progress",
+        actor
       } = transactionData;
 
-      // Get current student data for remaining points
       const studentRef = doc(db, "students", rfid);
-      const studentDoc = await getDoc(studentRef);
-      
-      if (!studentDoc.exists()) {
-        throw new Error("Student not found");
-      }
+      const transactionRef = doc(collection(db, "transactions"));
 
-      const studentData = studentDoc.data();
-      const currentPoints = studentData.points || 0;
+      // Claim the socket, debit points and create the transaction atomically
+      const remainingPoints = await runTransaction(db, async (tx) => {
+        const studentSnap = await tx.get(studentRef);
+        const lockState = await SocketLockModel.readInTransaction(tx, socketNumber);
 
-      if (currentPoints < pointsToSpend) {
-        throw new Error("Insufficient points");
-      }
+        if (!studentSnap.exists()) {
+          throw new Error("Student not found");
+        }
 
-      // Calculate remaining points after this transaction
-      const remainingPoints = currentPoints - pointsToSpend;
+        SocketLockModel.claim(tx, lockState, socketNumber, {
+          transactionId: transactionRef.id,
+          rfid,
+          studentName,
+          expectedEndTime
+        });
 
-      // Create transaction record
-      const transaction = {
-        rfid,
-        studentName,
-        email,
-        pointsUsed: pointsToSpend,
-        socketType, // "Universal Charger" or "Own Charger"
-        socketNumber, // 1 or 2
-        startTime: startTime || Timestamp.now(),
-        expectedEndTime: expectedEndTime || null,
-        actualEndTime: null,
-        status, // "in-progress", "completed", "cancelled"
-        remainingPoints,
-        duration: null, // Will be calculated on completion
-        createdAt: Timestamp.now(),
-        updatedAt: Timestamp.now()
-      };
+        const { balanceAfter } = PointsLedger.applyInTransaction(tx, studentSnap, {
+          delta: -pointsToSpend,
+          reason: "charging-session",
+          sourceType: "transaction",
+          sourceId: transactionRef.id,
+          actor,
+          studentUpdates: { lastUsed: Timestamp.now() }
+        });
 
-      // Add transaction to Firestore
-      const transactionRef = await addDoc(collection(db, "transactions"), transaction);
+        tx.set(transactionRef, {
+          rfid,
+          studentName,
+          email,
+          pointsUsed: pointsToSpend,
+          socketType, // Socket label from the registry, e.g. "Universal Charger"
+          chargerType: chargerType || null, // Registry type: "universal" or "own"
+          socketNumber, // Socket id from the registry
+          startTime: startTime || Timestamp.now(),
+          expectedEndTime: expectedEndTime || null,
+          tariff: tariff || null, // Rate snapshot used for refunds and history
+          actualEndTime: null,
+          status, // "in-progress", "completed", "cancelled"
+          remainingPoints: balanceAfter,
+          duration: null, // Will be calculated on completion
+          createdAt: Timestamp.now(),
+          updatedAt: Timestamp.now()
+        });
 
-      // Update student's points and last used
-      await updateDoc(studentRef, {
-        points: remainingPoints,
-        lastUsed: Timestamp.now()
+        return balanceAfter;
       });
 
+      publish(EVENTS.TRANSACTION_STARTED, {
+        transactionId: transactionRef.id,
+        socketNumber,
+        socketType,
+        pointsUsed: pointsToSpend,
+        expectedEndTime: expectedEndTime instanceof Date ? expectedEndTime.getTime() : null
+      }, { rfid });
+      publish(EVENTS.POINTS_CHANGED, { balance: remainingPoints, delta: -pointsToSpend, reason: "charging-session" }, { rfid });
+      publish(EVENTS.SOCKET_CHANGED, { socketNumber, state: "busy" });
+
       return transactionRef.id;
     } catch (error) {
       console.error("Error creating transaction:", error);
@@ -79,71 +111,198 @@ export class TransactionModel {
     }
   }
 
+  /**
+   * Whether a transaction is still running and still holds its socket, so power can be cut
+   * before the session is settled
+   * @param {string} transactionId - The transaction ID
+   * @returns {Promise<Object>} - { socketNumber, inProgress, ownsSocket }
+   */
+  static async getSocketOwnership(transactionId) {
+    const transactionRef = doc(db, "transactions", transactionId);
+
+    // Read-only, so the transaction and its lock are read at the same moment
+    return runTransaction(db, async (tx) => {
+      const transactionDoc = await tx.get(transactionRef);
+      if (!transactionDoc.exists()) {
+        throw new Error("Transaction not found");
+      }
+
+      const { socketNumber, status } = transactionDoc.data();
+      if (status !== "in-progress") {
+        return { socketNumber, inProgress: false, ownsSocket: false };
+      }
+
+      const lockState = await SocketLockModel.readInTransaction(tx, socketNumber);
+      return { socketNumber, inProgress: true, ownsSocket: SocketLockModel.ownedBy(lockState, transactionId) };
+    });
+  }
+
   /**
    * Complete a charging transaction
    * @param {string} transactionId - The transaction ID
    * @param {string} status - "completed" or "cancelled"
+   * @param {Object} actor - Who ended the session ({ id, role }); defaults to the system
+   * @param {Object} options - { refundUnused, endReason, endedAt (epoch ms, defaults to now), meter: { energyWh, peakWatts, sampleCount } }
    * @returns {Promise<Object>} - Updated transaction data
    */
-  static async completeTransaction(transactionId, status = "completed") {
+  static async completeTransaction(transactionId, status = "completed", actor, options = {}) {
+    const { transaction } = await TransactionModel.settleTransaction(transactionId, status, actor, options);
+    return transaction;
+  }
+
+  /**
+   * Complete a charging transaction and report what the settlement found
+   * @param {string} transactionId - The transaction ID
+   * @param {string} status - "completed" or "cancelled"
+   * @param {Object} actor - Who ended the session ({ id, role }); defaults to the system
+   * @param {Object} options - As for completeTransaction
+   * @returns {Promise<Object>} - { transaction, ended: this call ended it, ownsSocket: it still held its socket when it ended }
+   */
+  static async settleTransaction(transactionId, status = "completed", actor, options = {}) {
     try {
       const transactionRef = doc(db, "transactions", transactionId);
-      const transactionDoc = await getDoc(transactionRef);
 
-      if (!transactionDoc.exists()) {
-        throw new Error("Transaction not found");
-      }
+      // Status change and refund happen in one Firestore transaction so a stop
+      // racing the watchdog can never refund twice
+      let ended = false;
+      let ownsSocket = false;
+      const result = await runTransaction(db, async (tx) => {
+        ended = false;
+        ownsSocket = false;
+        const transactionDoc = await tx.get(transactionRef);
+
+        if (!transactionDoc.exists()) {
+          throw new Error("Transaction not found");
+        }
 
-      const transactionData = transactionDoc.data();
-      const actualEndTime = Timestamp.now();
+        const transactionData = transactionDoc.data();
 
-      // Calculate actual duration in seconds
-      const startTimeSeconds = transactionData.startTime.seconds;
-      const endTimeSeconds = actualEndTime.seconds;
-      const durationSeconds = endTimeSeconds - startTimeSeconds;
+        // Already finished (e.g. ended by the watchdog) - nothing to update
+        if (transactionData.status !== "in-progress") {
+          return { id: transactionId, ...transactionData };
+        }
 
-      // Update transaction
-      const updates = {
-        status,
-        actualEndTime,
-        duration: durationSeconds,
-        updatedAt: Timestamp.now()
-      };
+        const studentRef = doc(db, "students", transactionData.rfid);
+        const studentDoc = await tx.get(studentRef);
+        const lockState = await SocketLockModel.readInTransaction(tx, transactionData.socketNumber);
+
+        // A retried settlement ends the session when its power went off, not now
+        const actualEndTime = options.endedAt ? Timestamp.fromMillis(options.endedAt) : Timestamp.now();
+
+        // Calculate actual duration in seconds
+        const startTimeSeconds = transactionData.startTime.seconds;
+        const endTimeSeconds = actualEndTime.seconds;
+        const durationSeconds = endTimeSeconds - startTimeSeconds;
+
+        // Update transaction
+        const updates = {
+          status,
+          actualEndTime,
+          duration: durationSeconds,
+          endedBy: actor || { id: null, role: "system" },
+          endReason: options.endReason || (status === "cancelled" ? "stopped" : "time-up"),
+          updatedAt: Timestamp.now()
+        };
+
+        // The meter reports only what it has not stored yet; after a restart the totals
+        // flushed before it are already on the transaction
+        if (options.meter) {
+          Object.assign(updates, addMeterTotals(transactionData, options.meter));
+        }
 
-      // If cancelled, refund the unused points
-      if (status === "cancelled" && transactionData.status === "in-progress") {
-        const expectedDuration = transactionData.pointsUsed * 120; // 120 seconds per point
-        const usedDuration = Math.min(durationSeconds, expectedDuration);
-        const usedPoints = Math.ceil(usedDuration / 120);
-        const refundPoints = transactionData.pointsUsed - usedPoints;
-
-        if (refundPoints > 0) {
-          // Update student's points
-          const studentRef = doc(db, "students", transactionData.rfid);
-          const studentDoc = await getDoc(studentRef);
-          
-          if (studentDoc.exists()) {
-            const currentPoints = studentDoc.data().points || 0;
-            await updateDoc(studentRef, {
-              points: currentPoints + refundPoints
+        // If cancelled (or ended early by the meter), refund the unused points
+        if (status === "cancelled" || options.refundUnused) {
+          const { usedPoints, refundPoints } = computeRefund(
+            transactionData.tariff,
+            transactionData.pointsUsed,
+            durationSeconds
+          );
+
+          if (refundPoints > 0 && studentDoc.exists()) {
+            const { balanceAfter } = PointsLedger.applyInTransaction(tx, studentDoc, {
+              delta: refundPoints,
+              reason: "charging-refund",
+              sourceType: "transaction",
+              sourceId: transactionId,
+              actor
             });
 
             updates.pointsRefunded = refundPoints;
             updates.actualPointsUsed = usedPoints;
-            updates.remainingPoints = currentPoints + refundPoints;
+            updates.remainingPoints = balanceAfter;
           }
         }
-      }
 
-      await updateDoc(transactionRef, updates);
+        tx.update(transactionRef, updates);
+        ownsSocket = SocketLockModel.ownedBy(lockState, transactionId);
+        SocketLockModel.release(tx, lockState, transactionId);
+
+        // The receipt is written with the settlement so no ended session lacks one
+        const balanceAfter = updates.remainingPoints ?? (studentDoc.exists() ? studentDoc.data().points || 0 : null);
+        ReceiptModel.writeInTransaction(tx, { id: transactionId, ...transactionData, ...updates }, balanceAfter);
+
+        ended = true;
+        return { id: transactionId, ...transactionData, ...updates };
+      });
+
+      // Only the call that actually ended the session announces it
+      if (ended) {
+        publish(EVENTS.TRANSACTION_ENDED, {
+          transactionId,
+          socketNumber: result.socketNumber,
+          status: result.status,
+          endReason: result.endReason,
+          pointsRefunded: result.pointsRefunded || 0,
+          energyWh: result.energyWh ?? null
+        }, { rfid: result.rfid });
+        if (result.pointsRefunded) {
+          publish(EVENTS.POINTS_CHANGED, {
+            balance: result.remainingPoints,
+            delta: result.pointsRefunded,
+            reason: "charging-refund"
+          }, { rfid: result.rfid });
+        }
+        publish(EVENTS.SOCKET_CHANGED, { socketNumber: result.socketNumber, state: "available" });
+      }
 
-      return { id: transactionId, ...transactionData, ...updates };
+      return { transaction: result, ended, ownsSocket };
     } catch (error) {
       console.error("Error completing transaction:", error);
       throw error;
     }
   }
 
+  /**
+   * Store power meter samples under a transaction and add them to its running energy totals
+   * @param {string} transactionId - The transaction ID
+   * @param {Array} samples - [{ at, voltageV, currentA, powerW }]
+   * @param {Object} measured - { energyWh, peakWatts, sampleCount } measured since the last stored totals
+   * @returns {Promise<void>}
+   */
+  static async appendMeterSamples(transactionId, samples, measured) {
+    try {
+      const transactionRef = doc(db, "transactions", transactionId);
+
+      await runTransaction(db, async (tx) => {
+        const transactionDoc = await tx.get(transactionRef);
+        if (!transactionDoc.exists()) {
+          throw new Error("Transaction not found");
+        }
+
+        samples.forEach((sample) => {
+          tx.set(doc(collection(transactionRef, "meterSamples")), sample);
+        });
+        tx.update(transactionRef, {
+          ...addMeterTotals(transactionDoc.data(), measured),
+          updatedAt: Timestamp.now()
+        });
+      });
+    } catch (error) {
+      console.error("Error storing meter samples:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get all transactions for a specific student
    * @param {string} rfid - Student RFID
@@ -256,6 +415,54 @@ export class TransactionModel {
     }
   }
 
+  /**
+   * Get every in-progress transaction across all students
+   * @returns {Promise<Array>} - Array of in-progress transactions
+   */
+  static async getInProgressTransactions() {
+    try {
+      const q = query(
+        collection(db, "transactions"),
+        where("status", "==", "in-progress")
+      );
+
+      const querySnapshot = await getDocs(q);
+      const transactions = [];
+
+      querySnapshot.forEach((doc) => {
+        transactions.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return transactions;
+    } catch (error) {
+      console.error("Error getting in-progress transactions:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a transaction's socket lost power outside the normal flow
+   * @param {string} transactionId - The transaction ID
+   * @param {string} reason - Why the session was interrupted (e.g. "SIGTERM")
+   * @returns {Promise<void>}
+   */
+  static async recordInterruption(transactionId, reason) {
+    try {
+      const transactionRef = doc(db, "transactions", transactionId);
+      await updateDoc(transactionRef, {
+        interruptions: arrayUnion({ reason, at: Timestamp.now() }),
+        lastInterruptedAt: Timestamp.now(),
+        updatedAt: Timestamp.now()
+      });
+    } catch (error) {
+      console.error("Error recording transaction interruption:", error);
+      throw error;
+    }
+  }
+
   /**
    * Get a specific transaction by ID
    * @param {string} transactionId - The transaction ID
@@ -299,6 +506,7 @@ export class TransactionModel {
       let totalDuration = 0;
       let completedSessions = 0;
       let cancelledSessions = 0;
+      let totalEnergyWh = 0;
 
       querySnapshot.forEach((doc) => {
         const data = doc.data();
@@ -309,6 +517,8 @@ export class TransactionModel {
           totalDuration += data.duration;
         }
 
+        totalEnergyWh += data.energyWh || 0;
+
         if (data.status === "completed") {
           completedSessions++;
         } else if (data.status === "cancelled") {
@@ -322,6 +532,7 @@ export class TransactionModel {
         totalDuration,
         completedSessions,
         cancelledSessions,
+        totalEnergyWh: Math.round(totalEnergyWh * 100) / 100,
         averagePointsPerSession: totalSessions > 0 ? Math.round(totalPointsUsed / totalSessions) : 0,
         averageDuration: totalSessions > 0 ? Math.round(totalDuration / totalSessions) : 0
       };
@@ -0,0 +1,229 @@
+import { db } from "./firebase.js";
+import { collection, doc, getDoc, getDocs, query, where, runTransaction, Timestamp } from "firebase/firestore";
+import { PointsLedger, InsufficientPointsError } from "./pointsLedger.js";
+import { publish, EVENTS } from "../utils/liveEvents.js";
+import { dateKeyFor } from "../utils/campusTime.js";
+
+/**
+ * Transfer Model
+ * Points one student sends another, in `pointTransfers`. The debit, the credit and the
+ * sender's running total for the campus day (`transferTotals`, keyed "<rfid>_<YYYY-MM-DD>")
+ * are written in one Firestore transaction, so daily limits hold even for parallel requests.
+ */
+
+export const TRANSFERS_COLLECTION = "pointTransfers";
+export const TRANSFER_TOTALS_COLLECTION = "transferTotals";
+
+// Only student accounts send and receive transfers
+const TRANSFER_ROLE = "user";
+
+export class TransferError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TransferError";
+    this.status = status;
+  }
+}
+
+function totalsRef(rfid, dateKey) {
+  return doc(db, TRANSFER_TOTALS_COLLECTION, `${rfid}_${dateKey}`);
+}
+
+function toRecipient(studentDoc) {
+  const data = studentDoc.data();
+  return {
+    rfid: studentDoc.id,
+    name: data.name || null,
+    email: data.email || null,
+    section: data.section || null,
+    role: data.role || "user"
+  };
+}
+
+/**
+ * Refuse a transfer that would take the sender past either daily limit
+ * @param {Object} totals - { pointsSent, count } already sent that campus day
+ * @param {number} amount - Points about to be sent
+ * @param {Object} limits - { dailyPoints, dailyCount }
+ * @throws {TransferError} - 429 when a limit would be exceeded
+ */
+export function checkDailyLimits(totals, amount, limits) {
+  if (totals.count >= limits.dailyCount) {
+    throw new TransferError(`You can make at most ${limits.dailyCount} transfers a day`, 429);
+  }
+  if (totals.pointsSent + amount > limits.dailyPoints) {
+    const left = Math.max(limits.dailyPoints - totals.pointsSent, 0);
+    throw new TransferError(`You can send ${left} more point(s) today (daily limit ${limits.dailyPoints})`, 429);
+  }
+}
+
+export class TransferModel {
+
+  /**
+   * Find a transfer recipient by RFID or email
+   * @param {string} identifier - RFID, or an email address
+   * @returns {Promise<Object|null>} - { rfid, name, email, section, role }
+   */
+  static async findRecipient(identifier) {
+    const value = typeof identifier === "string" ? identifier.trim() : "";
+    if (!value || value.includes("/")) return null;
+
+    if (value.includes("@")) {
+      const snapshot = await getDocs(query(collection(db, "students"), where("email", "==", value)));
+      return snapshot.empty ? null : toRecipient(snapshot.docs[0]);
+    }
+
+    const studentDoc = await getDoc(doc(db, "students", value));
+    return studentDoc.exists() ? toRecipient(studentDoc) : null;
+  }
+
+  /**
+   * What a student has sent so far on a campus day
+   * @param {string} rfid - Sender RFID
+   * @param {string} dateKey - YYYY-MM-DD (defaults to today)
+   * @returns {Promise<Object>} - { pointsSent, count }
+   */
+  static async getDailyTotals(rfid, dateKey = dateKeyFor()) {
+    const totalsDoc = await getDoc(totalsRef(rfid, dateKey));
+    const data = totalsDoc.exists() ? totalsDoc.data() : {};
+    return { pointsSent: data.pointsSent || 0, count: data.count || 0 };
+  }
+
+  /**
+   * Move points from one student to another atomically
+   * @param {Object} transfer - { fromRfid, toRfid, amount, note, actor }
+   * @param {Object} limits - { dailyPoints, dailyCount } per sender per campus day
+   * @returns {Promise<Object>} - The stored transfer, with both balances afterwards
+   */
+  static async create({ fromRfid, toRfid, amount, note = null, actor }, limits) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new TransferError("Amount must be a positive whole number of points");
+    }
+    if (fromRfid === toRfid) {
+      throw new TransferError("You cannot send points to yourself");
+    }
+
+    try {
+      const dateKey = dateKeyFor();
+      const senderRef = doc(db, "students", fromRfid);
+      const recipientRef = doc(db, "students", toRfid);
+      const dayTotalsRef = totalsRef(fromRfid, dateKey);
+      const transferRef = doc(collection(db, TRANSFERS_COLLECTION));
+
+      const transfer = await runTransaction(db, async (tx) => {
+        const senderSnap = await tx.get(senderRef);
+        const recipientSnap = await tx.get(recipientRef);
+        const totalsSnap = await tx.get(dayTotalsRef);
+
+        if (!senderSnap.exists()) throw new TransferError("Student not found", 404);
+        if (!recipientSnap.exists()) throw new TransferError("Recipient not found", 404);
+        if ((senderSnap.data().role || "user") !== TRANSFER_ROLE || (recipientSnap.data().role || "user") !== TRANSFER_ROLE) {
+          throw new TransferError("Points can only be sent between student accounts", 403);
+        }
+
+        const totals = totalsSnap.exists() ? totalsSnap.data() : { pointsSent: 0, count: 0 };
+        checkDailyLimits(totals, amount, limits);
+
+        const sent = PointsLedger.applyInTransaction(tx, senderSnap, {
+          delta: -amount,
+          reason: "transfer-out",
+          sourceType: "transfer",
+          sourceId: transferRef.id,
+          actor
+        });
+        const received = PointsLedger.applyInTransaction(tx, recipientSnap, {
+          delta: amount,
+          reason: "transfer-in",
+          sourceType: "transfer",
+          sourceId: transferRef.id,
+          actor
+        });
+
+        const now = Timestamp.now();
+        tx.set(dayTotalsRef, {
+          rfid: fromRfid,
+          dateKey,
+          pointsSent: totals.pointsSent + amount,
+          count: totals.count + 1,
+          updatedAt: now
+        });
+
+        const stored = {
+          fromRfid,
+          fromName: senderSnap.data().name || null,
+          toRfid,
+          toName: recipientSnap.data().name || null,
+          amount,
+          note: note || null,
+          fromBalanceAfter: sent.balanceAfter,
+          toBalanceAfter: received.balanceAfter,
+          dateKey,
+          actor,
+          createdAt: now
+        };
+        // Transfers are write-once, like the ledger entries they produce
+        tx.set(transferRef, stored);
+        return { id: transferRef.id, ...stored };
+      });
+
+      publish(EVENTS.POINTS_CHANGED, { balance: transfer.fromBalanceAfter, delta: -amount, reason: "transfer-out" }, { rfid: fromRfid });
+      publish(EVENTS.POINTS_CHANGED, { balance: transfer.toBalanceAfter, delta: amount, reason: "transfer-in" }, { rfid: toRfid });
+      publish(EVENTS.TRANSFER_RECEIVED, {
+        transferId: transfer.id,
+        fromName: transfer.fromName,
+        amount,
+        note: transfer.note
+      }, { rfid: toRfid });
+
+      return transfer;
+    } catch (error) {
+      // Refusals (limits, balance) are expected; only log real failures
+      if (!(error instanceof TransferError || error instanceof InsufficientPointsError)) {
+        console.error("Error transferring points:", error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Transfers a student sent or received, newest first, as that student sees them:
+   * `direction` ("sent" or "received"), the other student's name and their own balance afterwards
+   * @param {string} rfid - Student RFID
+   * @param {number} limitCount - Maximum transfers returned (0 for all)
+   * @returns {Promise<Array>} - { id, direction, amount, note, otherName, balanceAfter, createdAt }
+   */
+  static async getForStudent(rfid, limitCount = 50) {
+    try {
+      // Two equality queries instead of an "or" so no composite index is needed
+      const [sentSnapshot, receivedSnapshot] = await Promise.all([
+        getDocs(query(collection(db, TRANSFERS_COLLECTION), where("fromRfid", "==", rfid))),
+        getDocs(query(collection(db, TRANSFERS_COLLECTION), where("toRfid", "==", rfid)))
+      ]);
+
+      const view = (transferDoc, direction) => {
+        const data = transferDoc.data();
+        const sent = direction === "sent";
+        return {
+          id: transferDoc.id,
+          direction,
+          amount: data.amount,
+          note: data.note || null,
+          otherName: sent ? data.toName : data.fromName,
+          balanceAfter: sent ? data.fromBalanceAfter : data.toBalanceAfter,
+          createdAt: data.createdAt
+        };
+      };
+
+      const transfers = [
+        ...sentSnapshot.docs.map(transferDoc => view(transferDoc, "sent")),
+        ...receivedSnapshot.docs.map(transferDoc => view(transferDoc, "received"))
+      ];
+
+      transfers.sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+      return limitCount ? transfers.slice(0, limitCount) : transfers;
+    } catch (error) {
+      console.error("Error getting transfers:", error);
+      throw error;
+    }
+  }
+}
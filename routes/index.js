@@ -1,11 +1,27 @@
 import express from "express";
-import { chargingStation } from "../controllers/adminController.js";
+import {
+  chargingStation,
+  listSockets,
+  adminDashboard,
+  adminStudentPage,
+  adjustStudentPoints,
+  bulkAdjustPoints,
+  searchStudents,
+  getStudentDetail,
+  getSocketStatus,
+  forceStopSession,
+  listTransactions,
+  listAttendance,
+  listLoginSessions,
+  revokeLoginSession
+} from "../controllers/adminController.js";
 import { 
   registerUser, 
   loginUser, 
   getStudentByRFID, 
-  addPoints, 
+  getScannedStudent,
   getCurrentStudent,
+  getPointsStatement,
   startChargingSession,
   stopChargingSession,
   getStudentTransactionHistory,
@@ -14,16 +30,43 @@ import {
   markAttendance,
   getTodayAttendance,
   getAttendanceBySection,
-  getStudentAttendance
+  getStudentAttendance,
+  getAttendanceSchedules,
+  getAttendanceReport,
+  exportTransactions,
+  exportAttendance
 } from "../controllers/firebaseController.js";
-import { query, where, getDocs } from 'firebase/firestore';
-import bcrypt from 'bcrypt';
 import { sendPasswordResetEmail } from "firebase/auth";
 import { auth } from "../models/firebase.js";
-import nodemailer from 'nodemailer';
 import { authAdmin, adminAvailable } from '../models/firebaseAdmin.js';
+import { streamEvents } from '../utils/liveEvents.js';
+import { isManualEntryAllowed, stationHasReader } from '../utils/rfidReader.js';
+import { kioskLogin, setKioskPin, removeKioskPin, getKioskStation, registerKioskStation, removeKioskStation } from "../controllers/kioskController.js";
+import { stationFor } from '../utils/kioskStations.js';
+import { sendOtp, verifyOtp, resetPassword } from "../controllers/passwordResetController.js";
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  listMyReceipts,
+  getReceipt
+} from "../controllers/notificationController.js";
+import {
+  listSections,
+  listSectionsAdmin,
+  createSection,
+  assignSectionTeacher,
+  removeSectionTeacher,
+  enrollSectionStudent,
+  teacherDashboard,
+  getMySections
+} from "../controllers/sectionController.js";
+import { listAuditLog, exportAuditLog, verifyAuditLog } from "../controllers/auditController.js";
+import { lookupTransferRecipient, createTransfer, listMyTransfers } from "../controllers/transferController.js";
+import { SectionModel } from "../models/sectionModel.js";
+import { rateLimit } from '../utils/rateLimiter.js';
+import { sendMail, mailerAvailable, outboxEnabled, listOutbox, readOutboxMessage } from '../utils/mailer.js';
 import { db } from '../models/firebase.js';
-import { doc, setDoc, getDoc, updateDoc, collection } from 'firebase/firestore';
+import { doc, getDoc } from 'firebase/firestore';
 
 const router = express.Router();
 
@@ -34,10 +77,75 @@ function requireLogin(req, res, next) {
   next();
 }
 
+// Only the given roles may continue; API callers get JSON errors, pages are redirected
+function requireRole(roles, label) {
+  return (req, res, next) => {
+    const isApi = req.originalUrl.startsWith("/api/");
+    if (!req.session.userId) {
+      return isApi
+        ? res.status(401).json({ success: false, error: "Not authenticated" })
+        : res.redirect("/login");
+    }
+    if (!roles.includes(req.session.role)) {
+      return isApi
+        ? res.status(403).json({ success: false, error: `Unauthorized - ${label} access required` })
+        : res.redirect("/user-dashboard");
+    }
+    next();
+  };
+}
+
+const requireAdmin = requireRole(["admin"], "Admin");
+// Teachers, and admins who can see every section
+const requireStaff = requireRole(["admin", "teacher"], "Teacher");
+
+// Requests a tap + PIN kiosk session may make: charging only
+const KIOSK_ROUTES = [
+  ["GET", /^\/$/],
+  ["GET", /^\/charging-station$/],
+  ["GET", /^\/logout$/],
+  ["GET", /^\/api\/(me|session|sockets|events)$/],
+  ["GET", /^\/api\/student\/[^/]+$/],
+  ["GET", /^\/api\/transactions\/(active|history)(\/[^/]+)?$/],
+  ["POST", /^\/api\/transactions\/(start|stop)$/],
+  ["GET", /^\/api\/receipts\/[^/]+$/],
+  ["POST", /^\/api\/kiosk\/login$/]
+];
+
+// Keep kiosk sessions to charging actions and end them once they expire
+function kioskScope(req, res, next) {
+  if (!req.session || !req.session.kiosk) return next();
+
+  const isApi = req.originalUrl.startsWith("/api/");
+  if (Date.now() > req.session.kioskExpiresAt) {
+    return req.session.destroy(() => {
+      res.clearCookie('connect.sid');
+      isApi
+        ? res.status(401).json({ success: false, error: "Kiosk session expired" })
+        : res.redirect("/");
+    });
+  }
+
+  const allowed = KIOSK_ROUTES.some(([method, pattern]) => req.method === method && pattern.test(req.path));
+  if (allowed) return next();
+
+  return isApi
+    ? res.status(403).json({ success: false, error: "Not available from a kiosk session" })
+    : res.redirect("/charging-station");
+}
+
+router.use(kioskScope);
+
+// Kiosk pages get taps from the reader station an admin registered the browser to
+function kioskLocals(req) {
+  const station = stationFor(req);
+  return { station, manualEntry: isManualEntryAllowed(), hasReader: Boolean(station) && stationHasReader(station) };
+}
+
 // Show RFID scanning page as landing page
 router.get("/", (req, res) => {
   // Always show the RFID scanning index page first
-  res.render('index.xian');
+  res.render('index.xian', kioskLocals(req));
 });
 
 // Middleware: prevent authenticated users from seeing login/register pages
@@ -50,7 +158,11 @@ function redirectIfAuthenticated(req, res, next) {
 
 // Session status endpoint for client-side checks
 router.get('/api/session', (req, res) => {
-  res.json({ authenticated: !!(req.session && req.session.userId), role: req.session?.role || null });
+  res.json({
+    authenticated: !!(req.session && req.session.userId),
+    role: req.session?.role || null,
+    kiosk: !!req.session?.kiosk
+  });
 });
 
 // Auth routes
@@ -62,25 +174,34 @@ router.get("/login", redirectIfAuthenticated, (req, res) => {
   res.set('Surrogate-Control', 'no-store');
   return res.render("login.xian");
 });
-router.post("/login", loginUser);
-router.get("/register", redirectIfAuthenticated, (req, res) => {
+// Locked-out addresses and accounts are turned away; loginUser counts wrong passwords
+router.post("/login", rateLimit(["loginIp", "loginAccount"], { count: false, redirectTo: "/login" }), loginUser);
+router.get("/register", redirectIfAuthenticated, async (req, res) => {
   // prevent caching of register page so browser back button will revalidate session
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
   res.set('Pragma', 'no-cache');
   res.set('Expires', '0');
   res.set('Surrogate-Control', 'no-store');
-  return res.render("register.xian");
+  let sections = [];
+  try {
+    sections = await SectionModel.list();
+  } catch (err) {
+    console.error('Error loading sections for registration:', err);
+  }
+  return res.render("register.xian", { sections });
 });
 router.post("/register", registerUser);
 router.get("/logout", (req, res) => {
+  // Kiosk users go back to the tap screen, everyone else to the login page
+  const signedOutUrl = req.session?.kiosk ? '/' : '/login';
   // Properly destroy the session and clear the cookie, then redirect.
   req.session.destroy(err => {
     if (err) {
       console.error('Session destroy error:', err);
-      return res.redirect('/login');
+      return res.redirect(signedOutUrl);
     }
     res.clearCookie('connect.sid');
-    res.redirect('/login');
+    res.redirect(signedOutUrl);
   });
 });
 router.get("/forgot-password", (req, res) => res.render("forgotpassword.xian"));
@@ -91,26 +212,10 @@ router.get('/reset-password', (req, res) => res.render('reset-password.xian'));
 router.post("/api/send-reset", async (req, res) => {
   const { email } = req.body;
   try {
-    // If Admin SDK is available and SMTP settings provided, generate a password reset link and email it.
-    if (adminAvailable && authAdmin && process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
+    // If Admin SDK and a mail transport are available, generate a password reset link and email it.
+    if (adminAvailable && authAdmin && mailerAvailable()) {
       const link = await authAdmin.generatePasswordResetLink(email);
-      // send email via nodemailer
-      const transporter = nodemailer.createTransport({
-        host: process.env.SMTP_HOST,
-        port: parseInt(process.env.SMTP_PORT || '587', 10),
-        secure: process.env.SMTP_SECURE === 'true',
-        auth: {
-          user: process.env.SMTP_USER,
-          pass: process.env.SMTP_PASS
-        }
-      });
-      const info = await transporter.sendMail({
-        from: process.env.SMTP_FROM || process.env.SMTP_USER,
-        to: email,
-        subject: 'Password reset for XianFire',
-        html: `<p>Click the link below to reset your password:</p><p><a href="${link}">${link}</a></p>`
-      });
-      console.log('Password reset email sent:', info.messageId);
+      await sendMail('passwordReset', email, { link });
       return res.json({ success: true });
     }
 
@@ -122,71 +227,32 @@ router.post("/api/send-reset", async (req, res) => {
   }
 });
 
-// OTP endpoints
-router.post('/api/send-otp', async (req, res) => {
-  const { email } = req.body;
-  if (!email) return res.status(400).json({ success: false, error: 'Email required' });
-  try {
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = Date.now() + (10 * 60 * 1000); // 10 minutes
-    const otpRef = doc(db, 'otps', email);
-    await setDoc(otpRef, { code, expiresAt, verified: false, createdAt: Date.now() });
-
-    // send email via SMTP if configured
-    if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-      const transporter = nodemailer.createTransport({
-        host: process.env.SMTP_HOST,
-        port: parseInt(process.env.SMTP_PORT || '587', 10),
-        secure: process.env.SMTP_SECURE === 'true',
-        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
-      });
-      await transporter.sendMail({
-        from: process.env.SMTP_FROM || process.env.SMTP_USER,
-        to: email,
-        subject: 'Your XianFire OTP',
-        html: `<p>Your verification code is <strong>${code}</strong>. It expires in 10 minutes.</p>`
-      });
-    } else if (adminAvailable && authAdmin) {
-      // If admin is available but no SMTP, we could generate a link — but for OTP we log it.
-      console.log('OTP for', email, code);
-    } else {
-      console.log('OTP for', email, code);
-    }
+// OTP endpoints: emailed code -> single-use reset token -> new password
+router.post('/api/send-otp', rateLimit(['otpSendIp', 'otpSendAccount']), sendOtp);
+router.post('/api/verify-otp', rateLimit(['otpVerifyIp']), verifyOtp);
+router.post('/api/reset-password', resetPassword);
 
-    const resp = { success: true };
-    // In development you can opt-in to receive the OTP in the JSON response (useful for testing)
-    if (process.env.DEV_SHOW_OTP === 'true') resp.devOtp = code;
-    return res.json(resp);
-  } catch (err) {
-    console.error('send-otp error', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
-
-router.post('/api/verify-otp', async (req, res) => {
-  const { email, code } = req.body;
-  if (!email || !code) return res.status(400).json({ success: false, error: 'Email and code required' });
+// Development outbox: emails written to disk with MAIL_TRANSPORT=outbox. They hold OTP
+// and reset codes, so only admins may read them.
+function requireOutbox(req, res, next) {
+  if (!outboxEnabled()) return res.status(404).send('Not found');
+  next();
+}
+router.get('/dev/outbox/:id?', requireOutbox, requireAdmin, async (req, res) => {
   try {
-    const otpRef = doc(db, 'otps', email);
-    const snap = await getDoc(otpRef);
-    if (!snap.exists()) return res.status(400).json({ success: false, error: 'No OTP found' });
-    const data = snap.data();
-    if (data.verified) return res.status(400).json({ success: false, error: 'OTP already used' });
-    if (Date.now() > (data.expiresAt || 0)) return res.status(400).json({ success: false, error: 'OTP expired' });
-    if (data.code !== code.toString()) return res.status(400).json({ success: false, error: 'Invalid code' });
-
-    await updateDoc(otpRef, { verified: true, verifiedAt: Date.now() });
-    return res.json({ success: true });
+    const message = req.params.id ? await readOutboxMessage(req.params.id) : null;
+    if (req.params.id && !message) return res.status(404).send('Not found');
+    res.render('dev-outbox', { messages: await listOutbox(), message });
   } catch (err) {
-    console.error('verify-otp error', err);
-    return res.status(500).json({ success: false, error: err.message });
+    console.error('Error reading outbox:', err);
+    res.status(500).send(err.message);
   }
 });
 
 // Protected routes
 router.get("/charging-station", requireLogin, chargingStation);
 router.get("/attendance-scanner", (req, res) => {
-  res.render("attendance-scanner.xian");
+  res.render("attendance-scanner.xian", kioskLocals(req));
 });
 router.get("/transaction-history", requireLogin, (req, res) => {
   res.render("transaction-history");
@@ -212,63 +278,80 @@ router.get("/user-dashboard-page", requireLogin, async (req, res) => {
 });
 
 // Firebase endpoints
-router.get("/api/student/:rfid", getStudentByRFID);
-router.post("/api/add-points", addPoints);
+// Every lookup counts per address; unknown cards also count towards a stricter lockout
+router.get("/api/student/:rfid", rateLimit(["studentLookupIp"]), rateLimit(["studentMissIp"], { count: false }), getStudentByRFID);
 router.get('/api/me', requireLogin, getCurrentStudent);
+router.get('/api/points/statement', requireLogin, getPointsStatement);
+router.get('/api/receipts', requireLogin, listMyReceipts);
+router.get('/api/receipts/:transactionId', requireLogin, getReceipt);
+router.get('/api/notifications/preferences', requireLogin, getNotificationPreferences);
+router.post('/api/notifications/preferences', requireLogin, updateNotificationPreferences);
+
+// Student-to-student point transfers; each lookup counts so accounts cannot be enumerated
+router.get('/api/transfers', requireLogin, listMyTransfers);
+router.get('/api/transfers/recipient', requireLogin, rateLimit(['transferLookupIp']), lookupTransferRecipient);
+router.post('/api/transfers', requireLogin, rateLimit(['transferLookupIp']), createTransfer);
+
+// Admin console
+router.get('/admin', requireAdmin, adminDashboard);
+router.get('/admin/students/:rfid', requireAdmin, adminStudentPage);
+router.get('/api/admin/students', requireAdmin, searchStudents);
+router.get('/api/admin/students/:rfid', requireAdmin, getStudentDetail);
+router.get('/api/admin/sockets', requireAdmin, getSocketStatus);
+// Binds the admin's current browser to a reader station, for setting up kiosks
+router.get('/api/admin/kiosk-station', requireAdmin, getKioskStation);
+router.post('/api/admin/kiosk-station', requireAdmin, registerKioskStation);
+router.delete('/api/admin/kiosk-station', requireAdmin, removeKioskStation);
+router.post('/api/admin/sessions/:transactionId/stop', requireAdmin, forceStopSession);
+router.get('/api/admin/transactions', requireAdmin, listTransactions);
+router.get('/api/admin/attendance', requireAdmin, listAttendance);
+router.get('/api/admin/logins', requireAdmin, listLoginSessions);
+router.delete('/api/admin/logins/:id', requireAdmin, revokeLoginSession);
+router.get('/api/admin/audit', requireAdmin, listAuditLog);
+router.get('/api/admin/audit/export', requireAdmin, exportAuditLog);
+router.get('/api/admin/audit/verify', requireAdmin, verifyAuditLog);
+
+// Admin points top-up / deduction
+router.post('/api/admin/points/adjust', requireAdmin, adjustStudentPoints);
+router.post('/api/admin/points/bulk', requireAdmin, bulkAdjustPoints);
+router.get('/api/admin/sections', requireAdmin, listSectionsAdmin);
+router.post('/api/admin/sections', requireAdmin, createSection);
+router.post('/api/admin/sections/:name/teachers', requireAdmin, assignSectionTeacher);
+router.delete('/api/admin/sections/:name/teachers/:rfid', requireAdmin, removeSectionTeacher);
+router.post('/api/admin/sections/:name/students', requireAdmin, enrollSectionStudent);
+
+// Sections and the teacher console
+router.get('/api/sections', listSections);
+router.get('/teacher', requireStaff, teacherDashboard);
+router.get('/api/teacher/sections', requireStaff, getMySections);
+
+// Tap + PIN kiosk sign-in and PIN management
+router.post('/api/kiosk/login', kioskLogin);
+router.get('/api/kiosk/scans/:scanId', getScannedStudent);
+router.post('/api/pin', requireLogin, setKioskPin);
+router.delete('/api/pin', requireLogin, removeKioskPin);
+
+// Socket registry (kiosk renders its socket buttons from this)
+router.get('/api/sockets', requireLogin, listSockets);
+
+// Live updates (Server-Sent Events); guests such as the attendance scanner only get public events
+router.get('/api/events', streamEvents);
 
 // Transaction endpoints
 router.post('/api/transactions/start', requireLogin, startChargingSession);
 router.post('/api/transactions/stop', requireLogin, stopChargingSession);
 router.get('/api/transactions/history/:rfid?', requireLogin, getStudentTransactionHistory);
 router.get('/api/transactions/active/:rfid?', requireLogin, getActiveChargingSession);
-router.get('/api/transactions/all', requireLogin, getAllTransactions);
+router.get('/api/transactions/all', requireAdmin, getAllTransactions);
+router.get('/api/transactions/export', requireLogin, exportTransactions);
 
 // Attendance endpoints
 router.post('/api/attendance/mark', markAttendance);
 router.get('/api/attendance/today', getTodayAttendance);
-router.get('/api/attendance/by-section', getAttendanceBySection);
+router.get('/api/attendance/by-section', requireLogin, getAttendanceBySection);
 router.get('/api/attendance/student/:rfid?', requireLogin, getStudentAttendance);
-
-// Reset password by email (used after OTP verification)
-router.post('/api/reset-password', async (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password) return res.status(400).json({ success: false, error: 'Missing fields' });
-  try {
-    // Find student doc by email
-    const q = query(collection(db, 'students'), where('email', '==', email));
-    const snaps = await getDocs(q);
-    if (snaps.empty) return res.status(404).json({ success: false, error: 'User not found' });
-    let rfid = null;
-    snaps.forEach(s => { rfid = s.id; });
-    if (!rfid) return res.status(404).json({ success: false, error: 'User not found' });
-    // Verify OTP was validated
-    const otpRef = doc(db, 'otps', email);
-    const otpSnap = await getDoc(otpRef);
-    if (!otpSnap.exists() || !otpSnap.data().verified) {
-      return res.status(401).json({ success: false, error: 'OTP not verified' });
-    }
-
-    // Hash password
-    const hashed = await bcrypt.hash(password, 10);
-    // Update Firestore passwordHash
-    const studentRef = doc(db, 'students', rfid);
-    await updateDoc(studentRef, { passwordHash: hashed });
-    // Also update Firebase Auth password if Admin SDK available
-    if (adminAvailable && authAdmin) {
-      try {
-        // get auth uid from student doc
-        const s = await getDoc(studentRef);
-        const authUid = s.exists() ? s.data().authUid : null;
-        if (authUid) await authAdmin.updateUser(authUid, { password });
-      } catch (e) { console.warn('Failed to update auth user password', e); }
-    }
-  // mark otp used
-  try { await updateDoc(otpRef, { usedAt: Date.now() }); } catch (e) { /* ignore */ }
-    return res.json({ success: true });
-  } catch (err) {
-    console.error('reset-password error', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
+router.get('/api/attendance/schedules', requireLogin, getAttendanceSchedules);
+router.get('/api/attendance/report', requireStaff, getAttendanceReport);
+router.get('/api/attendance/export', requireLogin, exportAttendance);
 
 export default router;
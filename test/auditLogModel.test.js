@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timestamp } from 'firebase/firestore';
+import { verifyEntries, hashEntry, GENESIS_HASH } from '../models/auditLogModel.js';
+
+// Entries as AuditLogModel.append() stores them, linked from the genesis hash
+function buildChain(count) {
+  const entries = [];
+  let prevHash = GENESIS_HASH;
+  for (let seq = 1; seq <= count; seq++) {
+    const entry = {
+      id: String(seq).padStart(12, '0'),
+      seq,
+      at: Timestamp.fromMillis(1700000000000 + seq * 1000),
+      actor: { id: 'admin-1', role: 'admin', email: 'admin@example.com' },
+      ip: '127.0.0.1',
+      action: 'points.adjusted',
+      target: { type: 'student', id: `RFID${seq}` },
+      before: { points: 100 },
+      after: { points: 100 + seq },
+      details: { reason: 'test' },
+      prevHash
+    };
+    entry.hash = hashEntry(entry);
+    prevHash = entry.hash;
+    entries.push(entry);
+  }
+  return { entries, head: { seq: count, hash: prevHash } };
+}
+
+test('accepts an empty log and an intact chain', () => {
+  assert.equal(verifyEntries([], { seq: 0, hash: GENESIS_HASH }).valid, true);
+
+  const { entries, head } = buildChain(3);
+  assert.deepEqual(verifyEntries(entries, head), { valid: true, checked: 3, headSeq: 3, brokenAt: null, problem: null });
+});
+
+test('hashes the same entry the same way whatever its key order', () => {
+  const { entries } = buildChain(1);
+  const reordered = Object.fromEntries(Object.entries(entries[0]).reverse());
+  reordered.details = { reason: 'test' };
+  assert.equal(hashEntry(reordered), entries[0].hash);
+});
+
+test('finds an entry changed after it was written', () => {
+  const { entries, head } = buildChain(3);
+  entries[1].after = { points: 9999 };
+
+  const result = verifyEntries(entries, head);
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 2);
+  assert.match(result.problem, /contents changed/);
+});
+
+test('finds a deleted or reordered entry', () => {
+  const { entries, head } = buildChain(3);
+  assert.equal(verifyEntries([entries[0], entries[2]], head).brokenAt, 2);
+  assert.match(verifyEntries([entries[1], entries[0], entries[2]], head).problem, /out of sequence/);
+});
+
+test('finds an entry rewritten with a fresh hash', () => {
+  const { entries, head } = buildChain(3);
+  entries[0].action = 'points.bulk_adjusted';
+  entries[0].hash = hashEntry(entries[0]);
+
+  const result = verifyEntries(entries, head);
+  assert.equal(result.brokenAt, 2);
+  assert.match(result.problem, /does not link/);
+});
+
+test('finds newest entries cut off the end', () => {
+  const { entries, head } = buildChain(3);
+
+  const result = verifyEntries(entries.slice(0, 2), head);
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 3);
+  assert.match(result.problem, /newest entries missing/);
+});
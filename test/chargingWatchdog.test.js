@@ -0,0 +1,84 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { scheduleSessionEnd, cancelSessionEnd, getRemainingSeconds, getScheduledSessions } from '../utils/chargingWatchdog.js';
+
+afterEach(() => {
+  getScheduledSessions().forEach(session => cancelSessionEnd(session.transactionId));
+});
+
+test('ends a session once its time is up and stops watching it', async () => {
+  const ended = [];
+  scheduleSessionEnd('tx-1', 2, Date.now() + 20, async () => ended.push('tx-1'));
+
+  assert.deepEqual(getScheduledSessions().map(session => session.transactionId), ['tx-1']);
+  await sleep(60);
+
+  assert.deepEqual(ended, ['tx-1']);
+  assert.deepEqual(getScheduledSessions(), []);
+});
+
+test('ends a session whose time already ran out straight away', async () => {
+  let calls = 0;
+  scheduleSessionEnd('tx-late', 1, new Date(Date.now() - 5000), async () => { calls++; });
+  await sleep(20);
+
+  assert.equal(calls, 1);
+});
+
+test('keeps a session watched while it ends, and retries when ending re-arms it', async () => {
+  let calls = 0;
+  const onExpire = async () => {
+    calls++;
+    assert.equal(getScheduledSessions().length, 1, 'still watched while being ended');
+    if (calls === 1) {
+      // What endSession does when settling fails
+      scheduleSessionEnd('tx-retry', 3, Date.now() + 20, onExpire);
+      throw new Error('Firestore unavailable');
+    }
+  };
+  scheduleSessionEnd('tx-retry', 3, Date.now() + 10, onExpire);
+
+  await sleep(30);
+  assert.equal(calls, 1);
+  assert.equal(getScheduledSessions()[0].socketNumber, 3, 'the retry is scheduled');
+
+  await sleep(60);
+  assert.equal(calls, 2);
+  assert.deepEqual(getScheduledSessions(), []);
+});
+
+test('stops watching a session that failed to end without re-arming', async () => {
+  scheduleSessionEnd('tx-gone', 1, Date.now() + 10, async () => { throw new Error('Transaction not found'); });
+  await sleep(40);
+
+  assert.deepEqual(getScheduledSessions(), []);
+});
+
+test('cancelled and replaced sessions are not ended at their old time', async () => {
+  const ended = [];
+  scheduleSessionEnd('tx-cancel', 1, Date.now() + 20, async () => ended.push('cancelled'));
+  scheduleSessionEnd('tx-moved', 2, Date.now() + 20, async () => ended.push('old time'));
+  scheduleSessionEnd('tx-moved', 2, Date.now() + 60000, async () => ended.push('new time'));
+
+  assert.equal(cancelSessionEnd('tx-cancel'), true);
+  assert.equal(cancelSessionEnd('tx-cancel'), false);
+  await sleep(50);
+
+  assert.deepEqual(ended, []);
+  assert.deepEqual(getScheduledSessions().map(session => session.transactionId), ['tx-moved']);
+});
+
+test('rejects a session without a usable end time', () => {
+  assert.throws(() => scheduleSessionEnd('tx-bad', 1, 'soon', async () => {}), /Invalid expectedEndTime/);
+});
+
+test('reports remaining seconds from the watchdog, else from the stored end time', () => {
+  scheduleSessionEnd('tx-watched', 1, Date.now() + 90 * 1000, async () => {});
+
+  assert.equal(getRemainingSeconds({ id: 'tx-watched', expectedEndTime: { seconds: 0 } }), 90);
+  assert.equal(getRemainingSeconds({ id: 'tx-stored', expectedEndTime: { seconds: Math.floor(Date.now() / 1000) + 120 } }) > 118, true);
+  assert.equal(getRemainingSeconds({ id: 'tx-over', expectedEndTime: new Date(Date.now() - 1000) }), 0);
+  assert.equal(getRemainingSeconds({ id: 'tx-unknown' }), null);
+  assert.equal(getRemainingSeconds(null), null);
+});
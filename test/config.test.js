@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAppConfig } from '../utils/config.js';
+
+const FIREBASE_ENV = {
+  FIREBASE_API_KEY: 'key',
+  FIREBASE_AUTH_DOMAIN: 'example.firebaseapp.com',
+  FIREBASE_PROJECT_ID: 'example',
+  FIREBASE_APP_ID: 'app'
+};
+
+const PRODUCTION_ENV = {
+  ...FIREBASE_ENV,
+  NODE_ENV: 'production',
+  SESSION_SECRET: 's'.repeat(32),
+  RESET_TOKEN_SECRET: 'r'.repeat(32)
+};
+
+test('fills in defaults and freezes the result', () => {
+  const config = validateAppConfig(FIREBASE_ENV, {});
+
+  assert.equal(config.port, 3000);
+  assert.equal(config.session.store, 'file');
+  assert.equal(config.transfers.dailyPoints, 50);
+  assert.equal(config.production, false);
+  assert.ok(config.session.secret, 'development gets a fallback session secret');
+  assert.ok(Object.isFrozen(config.session));
+});
+
+test('environment variables override app.json, which overrides defaults', () => {
+  const config = validateAppConfig({ ...FIREBASE_ENV, PORT: '8080' }, { port: 9000, transfers: { dailyCount: 3 } });
+
+  assert.equal(config.port, 8080);
+  assert.equal(config.transfers.dailyCount, 3);
+});
+
+test('coerces environment strings and rejects bad values', () => {
+  assert.equal(validateAppConfig({ ...FIREBASE_ENV, TRANSFERS_ENABLED: '0' }, {}).transfers.enabled, false);
+
+  assert.throws(() => validateAppConfig({ ...FIREBASE_ENV, PORT: 'eighty' }, {}), /PORT \(port\) must be a whole number/);
+  assert.throws(() => validateAppConfig({ ...FIREBASE_ENV, PORT: '70000' }, {}), /PORT \(port\) must be at most 65535/);
+  assert.throws(() => validateAppConfig({ ...FIREBASE_ENV, SESSION_STORE: 'redis' }, {}), /must be one of: file, firestore, memory/);
+  assert.throws(() => validateAppConfig({ ...FIREBASE_ENV, CAMPUS_TIMEZONE: 'Mars/Olympus' }, {}), /not a known IANA time zone/);
+  // app.json values are not coerced
+  assert.throws(() => validateAppConfig(FIREBASE_ENV, { port: '8080' }), /PORT \(port\) must be a whole number/);
+});
+
+test('reports every missing Firebase setting at once', () => {
+  assert.throws(() => validateAppConfig({}, {}), (err) => {
+    ['FIREBASE_API_KEY', 'FIREBASE_AUTH_DOMAIN', 'FIREBASE_PROJECT_ID', 'FIREBASE_APP_ID'].forEach((name) => {
+      assert.match(err.message, new RegExp(`${name} \\(firebase\\.\\w+\\) is required`));
+    });
+    return true;
+  });
+});
+
+test('SMTP settings must be given together', () => {
+  assert.throws(() => validateAppConfig({ ...FIREBASE_ENV, SMTP_HOST: 'smtp.example.com' }, {}), /must be set together/);
+  assert.throws(() => validateAppConfig({ ...FIREBASE_ENV, MAIL_TRANSPORT: 'smtp' }, {}), /MAIL_TRANSPORT \(mail.transport\) is smtp/);
+});
+
+test('production accepts strong secrets', () => {
+  const config = validateAppConfig(PRODUCTION_ENV, {});
+  assert.equal(config.production, true);
+});
+
+test('production refuses development fallbacks', () => {
+  const refused = [
+    [{ SESSION_SECRET: '' }, /SESSION_SECRET \(session.secret\) must be set in production/],
+    [{ SESSION_SECRET: 'short' }, /SESSION_SECRET \(session.secret\) must be at least 32 characters/],
+    [{ RESET_TOKEN_SECRET: '' }, /RESET_TOKEN_SECRET \(resetTokenSecret\) must be set in production/],
+    [{ DEV_SHOW_OTP: 'true' }, /DEV_SHOW_OTP/],
+    [{ SESSION_STORE: 'memory' }, /cannot be memory in production/],
+    [{ MAIL_TRANSPORT: 'outbox' }, /cannot be outbox in production/]
+  ];
+
+  refused.forEach(([overrides, message]) => {
+    assert.throws(() => validateAppConfig({ ...PRODUCTION_ENV, ...overrides }, {}), message);
+  });
+});
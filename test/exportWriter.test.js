@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvField } from '../utils/exportWriter.js';
+
+test('leaves plain values and numbers as they are', () => {
+  assert.equal(csvField('BSIT-2A'), 'BSIT-2A');
+  assert.equal(csvField(42), '42');
+  assert.equal(csvField(-5), '-5');
+});
+
+test('writes nothing for missing values', () => {
+  assert.equal(csvField(null), '');
+  assert.equal(csvField(undefined), '');
+});
+
+test('quotes fields with commas, quotes or line breaks', () => {
+  assert.equal(csvField('Dela Cruz, Juan'), '"Dela Cruz, Juan"');
+  assert.equal(csvField('the "fast" socket'), '"the ""fast"" socket"');
+  assert.equal(csvField('line one\nline two'), '"line one\nline two"');
+});
+
+test('stops spreadsheet apps reading text as a formula', () => {
+  assert.equal(csvField('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+  assert.equal(csvField('+639171234567'), "'+639171234567");
+  assert.equal(csvField('-1'), "'-1");
+  assert.equal(csvField('@cmd'), "'@cmd");
+  assert.equal(csvField('=HYPERLINK("x","y")'), `"'=HYPERLINK(""x"",""y"")"`);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryRateLimitStore, setRateLimitStore, recordFailure, rateLimit } from '../utils/rateLimiter.js';
+import { registerStation } from '../utils/kioskStations.js';
+
+// Runs the middleware and reports whether the request was let through
+function passes(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      set() { return res; },
+      status() { return res; },
+      json() { resolve(false); }
+    };
+    middleware(req, res, () => resolve(true));
+  });
+}
+
+function kioskRequest(ip, station) {
+  let cookie;
+  registerStation({ secure: false }, { cookie: (name, value) => { cookie = `${name}=${value}`; } }, station);
+  return { ip, headers: { cookie } };
+}
+
+test('counts every one of many parallel hits on the same key', async () => {
+  const store = new MemoryRateLimitStore();
+  const increment = (current) => ({ count: (current?.count || 0) + 1 });
+
+  await Promise.all(Array.from({ length: 25 }, () => store.update('k', increment, 60000)));
+
+  assert.equal((await store.get('k')).count, 25);
+});
+
+test('locks out an address after max parallel misses', async () => {
+  setRateLimitStore(new MemoryRateLimitStore());
+  const req = { ip: '10.0.0.1', headers: {} };
+
+  await Promise.all(Array.from({ length: 10 }, () => recordFailure(req, ['studentMissIp'])));
+
+  assert.equal(await passes(rateLimit(['studentMissIp'], { count: false }), req), false);
+});
+
+test('counts a registered kiosk against its station, not its address', async () => {
+  setRateLimitStore(new MemoryRateLimitStore());
+  const kiosk = kioskRequest('10.0.0.2', 'kiosk');
+  const neighbour = { ip: '10.0.0.2', headers: {} };
+  const otherKiosk = kioskRequest('10.0.0.2', 'attendance');
+  const check = rateLimit(['studentMissIp'], { count: false });
+
+  for (let i = 0; i < 10; i++) await recordFailure(kiosk, ['studentMissIp']);
+
+  assert.equal(await passes(check, kiosk), false);
+  assert.equal(await passes(check, neighbour), true);
+  assert.equal(await passes(check, otherKiosk), true);
+});
+
+test('ignores a forged station cookie', async () => {
+  setRateLimitStore(new MemoryRateLimitStore());
+  const forged = { ip: '10.0.0.3', headers: { cookie: 'xf.station=kiosk.forged' } };
+  const sameAddress = { ip: '10.0.0.3', headers: {} };
+
+  for (let i = 0; i < 10; i++) await recordFailure(forged, ['studentMissIp']);
+
+  assert.equal(await passes(rateLimit(['studentMissIp'], { count: false }), sameAddress), false);
+});
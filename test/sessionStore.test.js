@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileSessionStore, sessionKey } from '../utils/sessionStore.js';
+
+const key = sessionKey('session-id');
+
+function withStore(fn) {
+  return async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    try {
+      await fn(new FileSessionStore(dir), dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test('parallel writes to one session all succeed and the last one wins', withStore(async (store, dir) => {
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.set(key, { n: i, expiresAt: Date.now() + 60000 })));
+
+  assert.equal((await store.get(key)).n, 19);
+  assert.deepEqual(fs.readdirSync(dir), [`${key}.json`]);
+}));
+
+test('a touch does not undo a set made while it was reading', withStore(async (store) => {
+  await store.set(key, { n: 1, expiresAt: Date.now() + 60000 });
+
+  const expiresAt = Date.now() + 120000;
+  await Promise.all([store.touch(key, expiresAt, Date.now()), store.set(key, { n: 2, expiresAt })]);
+
+  assert.equal((await store.get(key)).n, 2);
+}));
+
+test('a destroy queued behind a write removes the session', withStore(async (store) => {
+  await Promise.all([store.set(key, { n: 1, expiresAt: Date.now() + 60000 }), store.destroy(key)]);
+
+  assert.equal(await store.get(key), null);
+}));
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRefund, quoteDuration, pointLimits, TariffError, LEGACY_SECONDS_PER_POINT } from '../utils/tariffEngine.js';
+
+const tariff = { id: 'universal:peak', socketType: 'universal', period: 'peak', secondsPerPoint: 60, minSeconds: 120, maxSeconds: 3600 };
+
+test('refunds nothing when the session ran its full time', () => {
+  assert.deepEqual(computeRefund(tariff, 10, 600), { usedPoints: 10, refundPoints: 0 });
+  assert.deepEqual(computeRefund(tariff, 10, 900), { usedPoints: 10, refundPoints: 0 });
+});
+
+test('refunds every whole point not started', () => {
+  assert.deepEqual(computeRefund(tariff, 10, 150), { usedPoints: 3, refundPoints: 7 });
+  assert.deepEqual(computeRefund(tariff, 10, 180), { usedPoints: 3, refundPoints: 7 });
+});
+
+test('refunds everything when the socket never ran', () => {
+  assert.deepEqual(computeRefund(tariff, 10, 0), { usedPoints: 0, refundPoints: 10 });
+  assert.deepEqual(computeRefund(tariff, 10, -30), { usedPoints: 0, refundPoints: 10 });
+});
+
+test('uses the legacy rate for transactions without a tariff', () => {
+  assert.deepEqual(computeRefund(null, 5, LEGACY_SECONDS_PER_POINT * 2), { usedPoints: 2, refundPoints: 3 });
+});
+
+test('quotes sessions within the tariff limits', () => {
+  assert.deepEqual(pointLimits(tariff), { minPoints: 2, maxPoints: 60 });
+  assert.equal(quoteDuration(tariff, 5), 300);
+  assert.throws(() => quoteDuration(tariff, 1), TariffError);
+  assert.throws(() => quoteDuration(tariff, 61), TariffError);
+  assert.throws(() => quoteDuration(tariff, 2.5), /positive whole number/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransferModel, TransferError, checkDailyLimits } from '../models/transferModel.js';
+
+const limits = { dailyPoints: 50, dailyCount: 5 };
+
+function assertRefused(fn, message, status) {
+  assert.throws(fn, (err) => {
+    assert.ok(err instanceof TransferError);
+    assert.match(err.message, message);
+    assert.equal(err.status, status);
+    return true;
+  });
+}
+
+test('allows transfers up to both daily limits', () => {
+  assert.doesNotThrow(() => checkDailyLimits({ pointsSent: 0, count: 0 }, 50, limits));
+  assert.doesNotThrow(() => checkDailyLimits({ pointsSent: 40, count: 4 }, 10, limits));
+});
+
+test('refuses a transfer once the daily count is used up', () => {
+  assertRefused(() => checkDailyLimits({ pointsSent: 5, count: 5 }, 1, limits), /at most 5 transfers a day/, 429);
+});
+
+test('refuses a transfer that goes past the daily points and says what is left', () => {
+  assertRefused(() => checkDailyLimits({ pointsSent: 45, count: 1 }, 10, limits), /send 5 more point\(s\) today \(daily limit 50\)/, 429);
+  assertRefused(() => checkDailyLimits({ pointsSent: 0, count: 0 }, 51, limits), /send 50 more point\(s\)/, 429);
+});
+
+test('refuses bad amounts and self transfers before touching Firestore', async () => {
+  const transfer = { fromRfid: 'A1', toRfid: 'B2', actor: { id: 'A1', role: 'user' } };
+
+  for (const amount of [0, -3, 1.5, '10']) {
+    await assert.rejects(TransferModel.create({ ...transfer, amount }, limits), /positive whole number/);
+  }
+  await assert.rejects(TransferModel.create({ ...transfer, toRfid: 'A1', amount: 5 }, limits), /cannot send points to yourself/);
+});
@@ -0,0 +1,218 @@
+// utils/attendanceSchedule.js
+
+import fs from 'fs';
+import { config as appConfig } from './config.js';
+import { campusParts, campusTime, dateKeyFor } from './campusTime.js';
+import { SectionModel } from '../models/sectionModel.js';
+
+// Schedules live in config/attendance.json unless ATTENDANCE_CONFIG points elsewhere
+const configPath = appConfig.configFiles.attendance;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate a raw attendance config and return a normalized copy.
+ * Sessions of the same section may not overlap (including their early check-in window),
+ * so every scan maps to at most one session.
+ * @param {Object} raw - Parsed attendance.json
+ * @returns {Object} - { daily, schedules }
+ */
+export function validateAttendanceConfig(raw) {
+  const errors = [];
+  const config = raw || {};
+  const defaultPoints = { onTime: 10, late: 5, ...(config.defaultPoints || {}) };
+  const defaultOpenBefore = config.openBeforeMinutes ?? 15;
+  const defaultGrace = config.graceMinutes ?? 10;
+  const daily = { enabled: true, points: 10, ...(config.daily || {}) };
+
+  if (!isNonNegativeInteger(defaultPoints.onTime) || !isNonNegativeInteger(defaultPoints.late)) {
+    errors.push('defaultPoints.onTime and .late must be non-negative integers');
+  }
+  if (!isNonNegativeInteger(defaultOpenBefore)) errors.push('openBeforeMinutes must be a non-negative integer');
+  if (!isNonNegativeInteger(defaultGrace)) errors.push('graceMinutes must be a non-negative integer');
+  if (typeof daily.enabled !== 'boolean') errors.push('daily.enabled must be true or false');
+  if (!isNonNegativeInteger(daily.points)) errors.push('daily.points must be a non-negative integer');
+  if (config.schedules !== undefined && !Array.isArray(config.schedules)) errors.push('schedules must be an array');
+
+  const seenIds = new Set();
+  const schedules = (Array.isArray(config.schedules) ? config.schedules : []).map((rawSchedule, index) => {
+    const where = `schedules[${index}]`;
+    const schedule = {
+      id: rawSchedule.id,
+      // Same canonical form students store ("bsit 2a" → "BSIT-2A")
+      section: SectionModel.normalizeName(rawSchedule.section),
+      name: rawSchedule.name || rawSchedule.id,
+      days: rawSchedule.days,
+      start: rawSchedule.start,
+      end: rawSchedule.end,
+      openBeforeMinutes: rawSchedule.openBeforeMinutes ?? defaultOpenBefore,
+      graceMinutes: rawSchedule.graceMinutes ?? defaultGrace,
+      points: { ...defaultPoints, ...(rawSchedule.points || {}) }
+    };
+
+    if (typeof schedule.id !== 'string' || !schedule.id) {
+      errors.push(`${where}.id must be a non-empty string`);
+    } else if (seenIds.has(schedule.id)) {
+      errors.push(`${where}.id "${schedule.id}" is used by more than one schedule`);
+    } else {
+      seenIds.add(schedule.id);
+    }
+    if (typeof schedule.section !== 'string' || !schedule.section) errors.push(`${where}.section must be a non-empty string`);
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0 || schedule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push(`${where}.days must be a list of weekdays 0 (Sun) to 6 (Sat)`);
+    }
+    if (!TIME_PATTERN.test(schedule.start || '') || !TIME_PATTERN.test(schedule.end || '')) {
+      errors.push(`${where}.start and .end must be HH:MM`);
+    } else if (toMinutes(schedule.start) >= toMinutes(schedule.end)) {
+      errors.push(`${where}.start must be before .end`);
+    }
+    if (!isNonNegativeInteger(schedule.openBeforeMinutes)) errors.push(`${where}.openBeforeMinutes must be a non-negative integer`);
+    if (!isNonNegativeInteger(schedule.graceMinutes)) errors.push(`${where}.graceMinutes must be a non-negative integer`);
+    if (!isNonNegativeInteger(schedule.points.onTime) || !isNonNegativeInteger(schedule.points.late)) {
+      errors.push(`${where}.points.onTime and .late must be non-negative integers`);
+    }
+
+    return schedule;
+  });
+
+  if (errors.length === 0) {
+    schedules.forEach((a, i) => {
+      schedules.slice(i + 1).forEach((b) => {
+        if (a.section !== b.section || !a.days.some(day => b.days.includes(day))) return;
+        const aOpens = toMinutes(a.start) - a.openBeforeMinutes;
+        const bOpens = toMinutes(b.start) - b.openBeforeMinutes;
+        if (aOpens < toMinutes(b.end) && bOpens < toMinutes(a.end)) {
+          errors.push(`schedules "${a.id}" and "${b.id}" overlap for section ${a.section}`);
+        }
+      });
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return { daily, schedules };
+}
+
+function loadConfig() {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read attendance config at ${configPath}: ${err.message}`);
+  }
+
+  try {
+    return validateAttendanceConfig(parsed);
+  } catch (err) {
+    throw new Error(`Invalid attendance config at ${configPath}:\n${err.message}`);
+  }
+}
+
+// Loaded and validated once at boot
+const config = loadConfig();
+
+/**
+ * Check-in window of a schedule on a given campus day
+ * @param {Object} schedule - Normalized schedule
+ * @param {Date} date - Any moment on that day
+ * @returns {Object} - { opensAt, startsAt, lateAfter, endsAt }
+ */
+export function sessionWindow(schedule, date) {
+  const dateKey = dateKeyFor(date);
+  const start = toMinutes(schedule.start);
+  return {
+    opensAt: campusTime(dateKey, start - schedule.openBeforeMinutes),
+    startsAt: campusTime(dateKey, start),
+    lateAfter: campusTime(dateKey, start + schedule.graceMinutes),
+    endsAt: campusTime(dateKey, toMinutes(schedule.end))
+  };
+}
+
+/**
+ * Where a session stands at a given moment
+ * @returns {string} - "upcoming", "open" or "closed"
+ */
+export function sessionState(window, now = new Date()) {
+  if (now < window.opensAt) return 'upcoming';
+  if (now > window.endsAt) return 'closed';
+  return 'open';
+}
+
+/**
+ * Schedules for one section, or every schedule when no section is given
+ * @param {string} section - Student section (optional)
+ * @returns {Array<Object>}
+ */
+export function getSchedules(section) {
+  const name = SectionModel.normalizeName(section);
+  return name ? config.schedules.filter(schedule => schedule.section === name) : config.schedules.slice();
+}
+
+/**
+ * Sections that have at least one schedule
+ * @returns {Array<string>}
+ */
+export function getScheduledSections() {
+  return [...new Set(config.schedules.map(schedule => schedule.section))];
+}
+
+/**
+ * Sessions a section has on a given campus day, earliest first
+ * @param {string} section - Student section
+ * @param {Date} date - Any moment on that day
+ * @returns {Array<Object>} - { schedule, window }
+ */
+export function sessionsOn(section, date) {
+  const { weekday } = campusParts(date);
+  return getSchedules(section)
+    .filter(schedule => schedule.days.includes(weekday))
+    .map(schedule => ({ schedule, window: sessionWindow(schedule, date) }))
+    .sort((a, b) => a.window.startsAt - b.window.startsAt);
+}
+
+/**
+ * Work out what a scan at a given moment counts as.
+ * Sections without schedules fall back to one check-in per day when daily mode is enabled.
+ * @param {string|null} section - Student section
+ * @param {Date} at - Moment of the scan (defaults to now)
+ * @returns {Object} - { mode: "session"|"daily"|"outside-window", status, points, schedule, window, next }
+ */
+export function resolveAttendance(section, at = new Date()) {
+  const scheduled = section ? getSchedules(section) : [];
+
+  if (scheduled.length === 0) {
+    if (config.daily.enabled) {
+      return { mode: 'daily', status: 'present', points: config.daily.points, schedule: null, window: null, next: null };
+    }
+    return { mode: 'outside-window', status: 'outside-window', points: 0, schedule: null, window: null, next: null };
+  }
+
+  const sessions = sessionsOn(section, at);
+  const current = sessions.find(({ window }) => sessionState(window, at) === 'open');
+
+  if (!current) {
+    const next = sessions.find(({ window }) => sessionState(window, at) === 'upcoming') || null;
+    return { mode: 'outside-window', status: 'outside-window', points: 0, schedule: null, window: null, next };
+  }
+
+  const onTime = at <= current.window.lateAfter;
+  return {
+    mode: 'session',
+    status: onTime ? 'on-time' : 'late',
+    points: onTime ? current.schedule.points.onTime : current.schedule.points.late,
+    schedule: current.schedule,
+    window: current.window,
+    next: null
+  };
+}
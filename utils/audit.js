@@ -0,0 +1,66 @@
+// utils/audit.js
+
+import { AuditLogModel } from '../models/auditLogModel.js';
+
+// Action names recorded in the audit log; "points." etc. can be used as filter prefixes
+export const AUDIT_ACTIONS = {
+  POINTS_ADJUSTED: 'points.adjusted',
+  POINTS_BULK_ADJUSTED: 'points.bulk-adjusted',
+  POINTS_TRANSFERRED: 'points.transferred',
+  SESSION_FORCE_STOPPED: 'session.force-stopped',
+  SOCKET_ON: 'socket.on',
+  SOCKET_OFF: 'socket.off',
+  PASSWORD_RESET: 'password.reset',
+  KIOSK_PIN_SET: 'kiosk-pin.set',
+  KIOSK_PIN_REMOVED: 'kiosk-pin.removed',
+  KIOSK_STATION_REGISTERED: 'kiosk-station.registered',
+  KIOSK_STATION_REMOVED: 'kiosk-station.removed',
+  LOGIN_REVOKED: 'login.revoked',
+  ROLE_CHANGED: 'user.role-changed',
+  SECTION_TEACHER_ASSIGNED: 'section.teacher-assigned',
+  SECTION_TEACHER_REMOVED: 'section.teacher-removed'
+};
+
+// Timers, the watchdog and boot/shutdown act as the system
+export const SYSTEM_ACTOR = { id: null, role: 'system', email: null };
+
+/**
+ * Who is making a request: the signed-in user, or an anonymous caller
+ * @param {Object} req - Express request
+ * @returns {Object} - { id, role, email }
+ */
+export function auditActor(req) {
+  if (!req || !req.session || !req.session.userId) {
+    return { id: null, role: 'anonymous', email: null };
+  }
+  return { id: req.session.userId, role: req.session.role || 'user', email: req.session.email || null };
+}
+
+// Appends run one at a time so bursts (all sockets off at shutdown) do not fight over the chain head
+let queue = Promise.resolve();
+
+/**
+ * Append an audit entry. Never throws: a failed write is logged so the action it
+ * describes is not undone, and shows up as a gap in the log.
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} entry - { req, actor, target: { type, id }, before, after, details }
+ * @returns {Promise<Object|null>} - Stored entry, or null if it could not be written
+ */
+export function recordAudit(action, { req, actor, target = null, before = null, after = null, details = null } = {}) {
+  const entry = {
+    actor: actor || (req ? auditActor(req) : SYSTEM_ACTOR),
+    ip: req ? req.ip || null : null,
+    action,
+    target,
+    before,
+    after,
+    details
+  };
+
+  const write = queue.then(() => AuditLogModel.append(entry));
+  queue = write.catch(() => {});
+  return write.catch((err) => {
+    console.error(`Failed to write audit entry ${action}:`, err);
+    return null;
+  });
+}
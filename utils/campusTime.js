@@ -0,0 +1,132 @@
+// utils/campusTime.js
+
+import { config } from './config.js';
+
+// Attendance days, class sessions and tariff periods follow the campus clock,
+// which is the server's own zone unless CAMPUS_TIMEZONE names another IANA zone
+export const CAMPUS_TIMEZONE = config.campusTimezone;
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function createFormatter() {
+  try {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: CAMPUS_TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  } catch (err) {
+    throw new Error(`Invalid CAMPUS_TIMEZONE "${CAMPUS_TIMEZONE}": ${err.message}`);
+  }
+}
+
+// Validated once at boot
+const formatter = createFormatter();
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Campus wall-clock fields of a moment
+ * @param {Date} at - Moment (defaults to now)
+ * @returns {Object} - { year, month, day, weekday (0 = Sun), hour, minute, second }
+ */
+export function campusParts(at = new Date()) {
+  const parts = {};
+  formatter.formatToParts(at).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+}
+
+/**
+ * Campus calendar day of a moment as YYYY-MM-DD (the `date` key of attendance records)
+ * @param {Date} at - Moment (defaults to now)
+ * @returns {string}
+ */
+export function dateKeyFor(at = new Date()) {
+  const { year, month, day } = campusParts(at);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Check a YYYY-MM-DD value names a real calendar day
+ * @param {string} value - Query or config value
+ * @returns {string|null} - The same key, or null if invalid
+ */
+export function parseDateKey(value) {
+  const match = DATE_KEY_PATTERN.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? value : null;
+}
+
+/**
+ * Day key a number of days before or after another
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string}
+ */
+export function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+// Milliseconds the campus clock is ahead of UTC at a given moment
+function offsetAt(at) {
+  const { year, month, day, hour, minute, second } = campusParts(at);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(at.getTime() / 1000) * 1000;
+}
+
+/**
+ * Moment a campus clock shows a given time on a given day
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} minutes - Minutes past campus midnight (may be negative or past 24h)
+ * @returns {Date}
+ */
+export function campusTime(dateKey, minutes = 0) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // The second pass settles times next to a daylight-saving change
+  const firstGuess = wallClock - offsetAt(new Date(wallClock));
+  return new Date(wallClock - offsetAt(new Date(firstGuess)));
+}
+
+/**
+ * First and last moment of a campus day
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Object} - { start, end }
+ */
+export function dayBounds(dateKey) {
+  return {
+    start: campusTime(dateKey),
+    end: new Date(campusTime(addDays(dateKey, 1)).getTime() - 1)
+  };
+}
+
+/**
+ * Format a moment on the campus clock
+ * @param {Date} at - Moment
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export function formatCampusTime(at, options = {}) {
+  return at.toLocaleString('en-US', { ...options, timeZone: CAMPUS_TIMEZONE });
+}
@@ -0,0 +1,118 @@
+// utils/chargingSession.js
+
+import { TransactionModel } from '../models/transactionModel.js';
+import { turnOnSocket, turnOffSocket } from './gpioControl.js';
+import { scheduleSessionEnd, cancelSessionEnd, getScheduledSessions } from './chargingWatchdog.js';
+import { startMetering, stopMetering } from './powerMeter.js';
+import { scheduleEndingReminder } from './notifications.js';
+
+// A session that could not be settled is tried again this often; its socket is already off
+const SETTLE_RETRY_MS = 60 * 1000;
+
+// Meter totals of sessions whose settlement failed, kept for the next attempt
+const unsettledMeters = new Map();
+
+// The watchdog completes the session once its time is up
+function watch(transactionId, socketNumber, endAt) {
+  scheduleSessionEnd(transactionId, socketNumber, endAt, async () => {
+    const transaction = await endSession(transactionId, 'completed', undefined, { endReason: 'time-up' });
+    console.log(`⏱️ Watchdog completed transaction ${transactionId} (socket ${transaction.socketNumber})`);
+  });
+}
+
+function addMeter(kept, measured) {
+  if (!kept || !measured) return kept || measured;
+  return {
+    energyWh: kept.energyWh + measured.energyWh,
+    peakWatts: Math.max(kept.peakWatts, measured.peakWatts),
+    sampleCount: kept.sampleCount + measured.sampleCount
+  };
+}
+
+// Whether the session is running and still holds its socket. When Firestore cannot answer,
+// a session this process is still watching is the one its relay is powering.
+async function socketOwnership(transactionId) {
+  try {
+    return await TransactionModel.getSocketOwnership(transactionId);
+  } catch (err) {
+    const watched = getScheduledSessions().find(session => session.transactionId === transactionId);
+    if (err.message === 'Transaction not found' || !watched) throw err;
+    console.error(`Could not check socket ownership of transaction ${transactionId}:`, err);
+    return { socketNumber: watched.socketNumber, inProgress: true, ownsSocket: true };
+  }
+}
+
+/**
+ * Power a socket for a transaction and put it under server control:
+ * the watchdog ends it at expectedEndTime and the meter ends it early when the device is full.
+ * Students who opted in are reminded shortly before the time runs out.
+ * @param {string} transactionId - The transaction ID
+ * @param {number} socketNumber - Socket to power
+ * @param {Date|Object} expectedEndTime - When the purchased time runs out
+ * @param {Object} context - For the audit log: { actor, reason }; the system starting a new session by default
+ */
+export function beginSession(transactionId, socketNumber, expectedEndTime, context = {}) {
+  turnOnSocket(socketNumber, { reason: 'session-start', ...context, transactionId });
+  watch(transactionId, socketNumber, expectedEndTime);
+  startMetering(transactionId, socketNumber, {
+    onIdle: () => endSession(transactionId, 'completed', undefined, { refundUnused: true, endReason: 'idle' })
+  });
+  scheduleEndingReminder(transactionId).catch((err) => {
+    console.error(`Failed to schedule session ending reminder for ${transactionId}:`, err);
+  });
+}
+
+/**
+ * End a running session: cut power, stop metering, then settle the transaction.
+ * Power goes off first so a failed settlement never leaves the socket on; the session
+ * then stays with the watchdog, which retries settling it.
+ * @param {string} transactionId - The transaction ID
+ * @param {string} status - "completed" or "cancelled"
+ * @param {Object} actor - Who ended it ({ id, role }); undefined for the system
+ * @param {Object} options - Extra completeTransaction options ({ refundUnused, endReason, endedAt })
+ * @returns {Promise<Object>} - Updated transaction data
+ */
+export async function endSession(transactionId, status, actor, options = {}) {
+  let ownership;
+  try {
+    ownership = await socketOwnership(transactionId);
+  } catch (err) {
+    if (err.message === 'Transaction not found') cancelSessionEnd(transactionId);
+    throw err;
+  }
+
+  // Only a session still holding its socket may cut power; a late or duplicate
+  // stop must not switch off whoever is charging on that socket now
+  const powerCut = ownership.inProgress && ownership.ownsSocket;
+  if (powerCut) {
+    turnOffSocket(ownership.socketNumber, { actor, transactionId, reason: options.endReason || status });
+  }
+
+  const meter = addMeter(unsettledMeters.get(transactionId), await stopMetering(transactionId));
+  // A retry settles the session as of this first attempt, when its power went off
+  const settleOptions = { ...options, endedAt: options.endedAt ?? Date.now() };
+
+  let settled;
+  try {
+    settled = await TransactionModel.settleTransaction(transactionId, status, actor, { ...settleOptions, meter });
+  } catch (err) {
+    if (err.message === 'Transaction not found') {
+      cancelSessionEnd(transactionId);
+    } else if (ownership.inProgress) {
+      if (meter) unsettledMeters.set(transactionId, meter);
+      scheduleSessionEnd(transactionId, ownership.socketNumber, Date.now() + SETTLE_RETRY_MS,
+        () => endSession(transactionId, status, actor, settleOptions));
+    }
+    throw err;
+  }
+
+  unsettledMeters.delete(transactionId);
+  cancelSessionEnd(transactionId);
+
+  const { transaction, ended, ownsSocket } = settled;
+  // The lock was taken between the ownership check and settling; settling is the final word
+  if (!powerCut && ended && ownsSocket) {
+    turnOffSocket(transaction.socketNumber, { actor, transactionId, reason: options.endReason || status });
+  }
+  return transaction;
+}
@@ -0,0 +1,104 @@
+// utils/chargingWatchdog.js
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Active watchdogs keyed by transaction ID → { timer, socketNumber, expectedEndMs, onExpire }
+const watchdogs = new Map();
+
+// Convert a Firestore Timestamp, Date or epoch millis into epoch millis
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (typeof value.seconds === 'number') return value.seconds * 1000;
+  if (typeof value === 'number') return value;
+  return null;
+}
+
+function arm(transactionId, entry) {
+  const delay = Math.min(Math.max(0, entry.expectedEndMs - Date.now()), MAX_TIMEOUT_MS);
+  entry.timer = setTimeout(() => {
+    if (Date.now() < entry.expectedEndMs) {
+      arm(transactionId, entry);
+      return;
+    }
+    expire(transactionId).catch(err => {
+      console.error(`Watchdog failed to end transaction ${transactionId}:`, err);
+    });
+  }, delay);
+}
+
+// Called when a session reaches its expectedEndTime. The session stays watched while it is
+// being ended, so it still counts as this process's; onExpire re-arms it if it cannot be ended.
+async function expire(transactionId) {
+  const entry = watchdogs.get(transactionId);
+  if (!entry) return;
+
+  try {
+    await entry.onExpire();
+  } finally {
+    if (watchdogs.get(transactionId) === entry) watchdogs.delete(transactionId);
+  }
+}
+
+/**
+ * Call `onExpire` at expectedEndTime so the session is ended and its socket turned off.
+ * Re-scheduling an already watched transaction replaces its previous timer.
+ * @param {string} transactionId - The transaction ID
+ * @param {number} socketNumber - Socket powered by this session
+ * @param {Date|Object|number} expectedEndTime - Firestore Timestamp, Date or epoch millis
+ * @param {Function} onExpire - Ends the session; may re-schedule it when that fails
+ */
+export function scheduleSessionEnd(transactionId, socketNumber, expectedEndTime, onExpire) {
+  const expectedEndMs = toMillis(expectedEndTime);
+  if (expectedEndMs === null) {
+    throw new Error(`Invalid expectedEndTime for transaction ${transactionId}`);
+  }
+
+  cancelSessionEnd(transactionId);
+
+  const entry = { timer: null, socketNumber, expectedEndMs, onExpire };
+  watchdogs.set(transactionId, entry);
+  arm(transactionId, entry);
+}
+
+/**
+ * Stop watching a transaction (e.g. it was stopped manually)
+ * @param {string} transactionId - The transaction ID
+ * @returns {boolean} - True if a watchdog was removed
+ */
+export function cancelSessionEnd(transactionId) {
+  const entry = watchdogs.get(transactionId);
+  if (!entry) return false;
+  clearTimeout(entry.timer);
+  watchdogs.delete(transactionId);
+  return true;
+}
+
+/**
+ * Seconds left before the watchdog ends a session.
+ * Falls back to the transaction's stored expectedEndTime when it is not being watched.
+ * @param {Object} transaction - Transaction with id and expectedEndTime
+ * @returns {number|null} - Remaining seconds, or null if unknown
+ */
+export function getRemainingSeconds(transaction) {
+  if (!transaction) return null;
+  const entry = watchdogs.get(transaction.id);
+  const expectedEndMs = entry ? entry.expectedEndMs : toMillis(transaction.expectedEndTime);
+  if (expectedEndMs === null) return null;
+  return Math.max(0, Math.ceil((expectedEndMs - Date.now()) / 1000));
+}
+
+/**
+ * Snapshot of every watched session (for diagnostics / status endpoints)
+ * @returns {Array<Object>} - { transactionId, socketNumber, expectedEndTime, remainingSeconds }
+ */
+export function getScheduledSessions() {
+  return Array.from(watchdogs.entries()).map(([transactionId, entry]) => ({
+    transactionId,
+    socketNumber: entry.socketNumber,
+    expectedEndTime: new Date(entry.expectedEndMs),
+    remainingSeconds: Math.max(0, Math.ceil((entry.expectedEndMs - Date.now()) / 1000))
+  }));
+}
@@ -0,0 +1,221 @@
+// utils/config.js
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+// This is the only module that reads process.env; everything else imports `config`.
+// Values come from the environment (and .env), then config/app.json, then defaults.
+dotenv.config();
+
+const configPath = process.env.APP_CONFIG || path.join(process.cwd(), 'config', 'app.json');
+
+// Development fallback that must never be used to sign production cookies
+const DEV_SESSION_SECRET = 'xianfire-secret-key';
+const MIN_SECRET_LENGTH = 32;
+
+export const MAIL_TRANSPORTS = ['smtp', 'outbox', 'none'];
+export const SESSION_STORES = ['file', 'firestore', 'memory'];
+
+/**
+ * Every setting the app reads. `key` is the dotted path in the result and in
+ * config/app.json; `env` is the variable that overrides it.
+ */
+const SETTINGS = [
+  { key: 'env', env: 'NODE_ENV', type: 'string', default: 'development' },
+  { key: 'port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+
+  { key: 'session.secret', env: 'SESSION_SECRET', type: 'string' },
+  { key: 'session.maxAgeMs', env: 'SESSION_MAX_AGE', type: 'integer', min: 60 * 1000, default: 24 * 60 * 60 * 1000 },
+  { key: 'session.store', env: 'SESSION_STORE', type: 'string', values: SESSION_STORES, default: 'file' },
+  { key: 'session.dir', env: 'SESSION_DIR', type: 'string', default: path.join(process.cwd(), 'sessions') },
+  { key: 'session.secureCookie', env: 'SESSION_COOKIE_SECURE', type: 'boolean' },
+
+  { key: 'firebase.apiKey', env: 'FIREBASE_API_KEY', type: 'string', required: true },
+  { key: 'firebase.authDomain', env: 'FIREBASE_AUTH_DOMAIN', type: 'string', required: true },
+  { key: 'firebase.projectId', env: 'FIREBASE_PROJECT_ID', type: 'string', required: true },
+  { key: 'firebase.storageBucket', env: 'FIREBASE_STORAGE_BUCKET', type: 'string' },
+  { key: 'firebase.messagingSenderId', env: 'FIREBASE_MESSAGING_SENDER_ID', type: 'string' },
+  { key: 'firebase.appId', env: 'FIREBASE_APP_ID', type: 'string', required: true },
+  { key: 'firebase.measurementId', env: 'FIREBASE_MEASUREMENT_ID', type: 'string' },
+  { key: 'firebase.serviceAccountPath', env: 'GOOGLE_APPLICATION_CREDENTIALS', type: 'string', default: path.join(process.cwd(), 'serviceAccountKey.json') },
+
+  { key: 'resetTokenSecret', env: 'RESET_TOKEN_SECRET', type: 'string' },
+  { key: 'devShowOtp', env: 'DEV_SHOW_OTP', type: 'boolean', default: false },
+  { key: 'campusTimezone', env: 'CAMPUS_TIMEZONE', type: 'string', default: Intl.DateTimeFormat().resolvedOptions().timeZone },
+
+  { key: 'transfers.enabled', env: 'TRANSFERS_ENABLED', type: 'boolean', default: true },
+  { key: 'transfers.dailyPoints', env: 'TRANSFER_DAILY_POINTS', type: 'integer', min: 1, default: 50 },
+  { key: 'transfers.dailyCount', env: 'TRANSFER_DAILY_COUNT', type: 'integer', min: 1, default: 5 },
+
+  { key: 'mail.transport', env: 'MAIL_TRANSPORT', type: 'string', values: MAIL_TRANSPORTS },
+  { key: 'mail.outboxDir', env: 'MAIL_OUTBOX_DIR', type: 'string', default: path.join(process.cwd(), 'outbox') },
+  { key: 'mail.smtp.host', env: 'SMTP_HOST', type: 'string' },
+  { key: 'mail.smtp.port', env: 'SMTP_PORT', type: 'integer', min: 1, max: 65535, default: 587 },
+  { key: 'mail.smtp.secure', env: 'SMTP_SECURE', type: 'boolean', default: false },
+  { key: 'mail.smtp.user', env: 'SMTP_USER', type: 'string' },
+  { key: 'mail.smtp.pass', env: 'SMTP_PASS', type: 'string' },
+  { key: 'mail.smtp.from', env: 'SMTP_FROM', type: 'string' },
+
+  { key: 'configFiles.sockets', env: 'SOCKETS_CONFIG', type: 'string', default: path.join(process.cwd(), 'config', 'sockets.json') },
+  { key: 'configFiles.tariffs', env: 'TARIFFS_CONFIG', type: 'string', default: path.join(process.cwd(), 'config', 'tariffs.json') },
+  { key: 'configFiles.metering', env: 'METERING_CONFIG', type: 'string', default: path.join(process.cwd(), 'config', 'metering.json') },
+  { key: 'configFiles.readers', env: 'READERS_CONFIG', type: 'string', default: path.join(process.cwd(), 'config', 'readers.json') },
+  { key: 'configFiles.attendance', env: 'ATTENDANCE_CONFIG', type: 'string', default: path.join(process.cwd(), 'config', 'attendance.json') },
+  { key: 'configFiles.rateLimits', env: 'RATE_LIMIT_CONFIG', type: 'string', default: path.join(process.cwd(), 'config', 'rateLimits.json') }
+];
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => (node[part] ??= {}), object);
+  target[last] = value;
+}
+
+function describe(setting) {
+  return `${setting.env} (${setting.key})`;
+}
+
+// Environment variables are always strings; app.json values must already have the right type
+function coerce(setting, value, fromEnv) {
+  if (setting.type === 'string') {
+    return typeof value === 'string' ? { value } : { error: 'must be a string' };
+  }
+  if (setting.type === 'integer') {
+    const number = fromEnv && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    return Number.isInteger(number) ? { value: number } : { error: 'must be a whole number' };
+  }
+  if (fromEnv) {
+    if (value === 'true' || value === '1') return { value: true };
+    if (value === 'false' || value === '0') return { value: false };
+  } else if (typeof value === 'boolean') {
+    return { value };
+  }
+  return { error: 'must be true or false' };
+}
+
+function isValidTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Validate settings from the environment and config/app.json and return a
+ * normalized, frozen config. Production mode refuses development fallbacks.
+ * @param {Object} env - Environment variables (process.env)
+ * @param {Object} file - Parsed app.json, or {} when there is none
+ * @returns {Object} - Nested config keyed as in SETTINGS, plus `production`
+ */
+export function validateAppConfig(env, file) {
+  const errors = [];
+  const config = {};
+
+  SETTINGS.forEach((setting) => {
+    const envValue = env[setting.env];
+    const fromEnv = envValue !== undefined && envValue !== '';
+    const raw = fromEnv ? envValue : getPath(file, setting.key);
+    let value = setting.default ?? null;
+
+    if (raw !== undefined && raw !== null && raw !== '') {
+      const result = coerce(setting, raw, fromEnv);
+      if (result.error) {
+        errors.push(`${describe(setting)} ${result.error}`);
+      } else {
+        value = result.value;
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (setting.min !== undefined && value < setting.min) errors.push(`${describe(setting)} must be at least ${setting.min}`);
+      if (setting.max !== undefined && value > setting.max) errors.push(`${describe(setting)} must be at most ${setting.max}`);
+    }
+    if (setting.values && value !== null && !setting.values.includes(value)) {
+      errors.push(`${describe(setting)} must be one of: ${setting.values.join(', ')}`);
+    }
+    if (setting.required && value === null) {
+      errors.push(`${describe(setting)} is required; set it in .env or ${path.relative(process.cwd(), configPath)}`);
+    }
+
+    setPath(config, setting.key, value);
+  });
+
+  config.production = config.env === 'production';
+
+  if (!isValidTimeZone(config.campusTimezone)) {
+    errors.push(`CAMPUS_TIMEZONE (campusTimezone) "${config.campusTimezone}" is not a known IANA time zone`);
+  }
+
+  const { smtp } = config.mail;
+  const smtpParts = [smtp.host, smtp.user, smtp.pass].filter(Boolean).length;
+  if (smtpParts > 0 && smtpParts < 3) {
+    errors.push('SMTP_HOST, SMTP_USER and SMTP_PASS must be set together');
+  } else if (config.mail.transport === 'smtp' && smtpParts === 0) {
+    errors.push('MAIL_TRANSPORT (mail.transport) is smtp but SMTP_HOST, SMTP_USER and SMTP_PASS are not set');
+  }
+
+  if (config.production) {
+    if (!config.session.secret || config.session.secret === DEV_SESSION_SECRET) {
+      errors.push('SESSION_SECRET (session.secret) must be set in production');
+    } else if (config.session.secret.length < MIN_SECRET_LENGTH) {
+      errors.push(`SESSION_SECRET (session.secret) must be at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+    if (!config.resetTokenSecret) {
+      errors.push('RESET_TOKEN_SECRET (resetTokenSecret) must be set in production so reset codes survive restarts');
+    } else if (config.resetTokenSecret.length < MIN_SECRET_LENGTH) {
+      errors.push(`RESET_TOKEN_SECRET (resetTokenSecret) must be at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+    if (config.devShowOtp) {
+      errors.push('DEV_SHOW_OTP (devShowOtp) must not be enabled in production');
+    }
+    if (config.session.store === 'memory') {
+      errors.push('SESSION_STORE (session.store) cannot be memory in production; it logs everyone out on restart and grows without bound');
+    }
+    if (config.mail.transport === 'outbox') {
+      errors.push('MAIL_TRANSPORT (mail.transport) cannot be outbox in production; reset codes would be written to disk');
+    }
+  } else if (!config.session.secret) {
+    config.session.secret = DEV_SESSION_SECRET;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+function loadConfig() {
+  let file = {};
+  // app.json is optional unless APP_CONFIG names it explicitly
+  if (process.env.APP_CONFIG || fs.existsSync(configPath)) {
+    try {
+      file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Unable to read app config at ${configPath}: ${err.message}`);
+    }
+  }
+
+  try {
+    return validateAppConfig(process.env, file);
+  } catch (err) {
+    throw new Error(`Invalid configuration (environment, .env or ${configPath}):\n${err.message}`);
+  }
+}
+
+// Loaded and validated once at boot
+export const config = loadConfig();
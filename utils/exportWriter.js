@@ -0,0 +1,67 @@
+// utils/exportWriter.js
+
+import ExcelJS from 'exceljs';
+import { campusParts } from './campusTime.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Format a Firestore Timestamp (or Date) as "YYYY-MM-DD HH:mm:ss" on the campus clock
+ * @param {Object|Date|null} value - Timestamp, Date or { seconds }
+ * @returns {string} - Empty string when there is no time
+ */
+export function formatTimestamp(value) {
+  if (!value) return '';
+  const date = value instanceof Date
+    ? value
+    : value.toDate ? value.toDate() : new Date((value.seconds || 0) * 1000);
+  if (isNaN(date.getTime())) return '';
+
+  const { year, month, day, hour, minute, second } = campusParts(date);
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+// Quote fields that need it and stop spreadsheet apps evaluating text as formulas
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Send rows as a CSV or XLSX download. Rows are streamed, so build them before calling
+ * this; once headers are out an error can only abort the download.
+ * @param {Object} res - Express response
+ * @param {Object} options - { format, filename (no extension), sheetName, columns: [{ header, key, width }], rows }
+ * @returns {Promise<void>}
+ */
+export async function sendExport(res, { format, filename, sheetName, columns, rows }) {
+  res.attachment(`${filename}.${format}`);
+
+  if (format === 'csv') {
+    // The byte order mark makes Excel read the file as UTF-8
+    res.write('\uFEFF' + columns.map(column => csvField(column.header)).join(',') + '\r\n');
+    rows.forEach((row) => {
+      res.write(columns.map(column => csvField(row[column.key])).join(',') + '\r\n');
+    });
+    res.end();
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 16 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  rows.forEach(row => sheet.addRow(row).commit());
+  sheet.commit();
+  await workbook.commit();
+}
@@ -1,5 +1,8 @@
 // utils/gpioControl.js
 
+import { getSocket, getSockets } from './socketRegistry.js';
+import { recordAudit, AUDIT_ACTIONS, SYSTEM_ACTOR } from './audit.js';
+
 // Detect platform - use mock on Windows, real GPIO on Linux
 const isWindows = process.platform === 'win32';
 let Gpio;
@@ -19,7 +22,7 @@ class MockGpio {
   constructor(pin, direction) {
     this.pin = pin;
     this.direction = direction;
-    this.value = 0;
+    this.value = direction === 'high' ? 1 : 0;
   }
 
   writeSync(value) {
@@ -42,63 +45,120 @@ if (!Gpio) {
   console.log('🔧 Using Mock GPIO for development (Windows detected)');
 }
 
-// Map socket numbers → GPIO pins (update with correct GPIO numbers!)
-const lineMap = {
-  1: 73,  // socket 0 → GPIO3
-  2: 70,  // socket 1 → GPIO5
-};
+// Socket → GPIO wiring comes from the socket registry (config/sockets.json)
 
 // Keep track of active GPIO instances
 const gpioInstances = {};
 
-// Turn ON the socket
-export function turnOnSocket(socketNumber) {
-  const gpioNumber = lineMap[socketNumber];
-  if (gpioNumber === undefined) {
+function requireSocket(socketNumber) {
+  const socket = getSocket(socketNumber);
+  if (!socket) {
     throw new Error(`Invalid socket number: ${socketNumber}`);
   }
+  return socket;
+}
 
-  try {
-    // Reuse or create the GPIO instance
-    if (!gpioInstances[socketNumber]) {
-      gpioInstances[socketNumber] = new Gpio(gpioNumber, 'out');
-    }
+// Translate a logical on/off into the level the relay board expects
+function levelFor(socket, on) {
+  return (on ? 1 : 0) ^ (socket.activeLow ? 1 : 0);
+}
 
-    const gpio = gpioInstances[socketNumber];
-    gpio.writeSync(1);
-    console.log(`✅ Socket ${socketNumber} activated (GPIO ${gpioNumber})`);
-  } catch (err) {
-    console.error(`GPIO activation error (socket ${socketNumber}):`, err);
+function gpioFor(socket) {
+  if (!gpioInstances[socket.id]) {
+    // Active-low relays are exported already high so they do not click on at export
+    gpioInstances[socket.id] = new Gpio(socket.gpioLine, socket.activeLow ? 'high' : 'out');
   }
+  return gpioInstances[socket.id];
 }
 
-// Turn OFF the socket
-export function turnOffSocket(socketNumber) {
-  const gpioNumber = lineMap[socketNumber];
-  if (gpioNumber === undefined) {
-    throw new Error(`Invalid socket number: ${socketNumber}`);
+// Audit a relay change. A line this process never drove is not logged when switched off,
+// so boot does not add an entry per socket.
+function auditSwitch(socket, before, on, context) {
+  if (before === (on ? 1 : 0) || (before === null && !on)) return;
+
+  recordAudit(on ? AUDIT_ACTIONS.SOCKET_ON : AUDIT_ACTIONS.SOCKET_OFF, {
+    actor: context.actor || SYSTEM_ACTOR,
+    target: { type: 'socket', id: socket.id },
+    before: { relay: before === null ? null : before ? 'on' : 'off' },
+    after: { relay: on ? 'on' : 'off' },
+    details: { transactionId: context.transactionId || null, reason: context.reason || null }
+  });
+}
+
+/**
+ * Turn ON the socket
+ * @param {number} socketNumber - Socket to power
+ * @param {Object} context - For the audit log: { actor, transactionId, reason }
+ */
+export function turnOnSocket(socketNumber, context = {}) {
+  const socket = requireSocket(socketNumber);
+  if (!socket.enabled) {
+    throw new Error(`Socket ${socket.id} is disabled`);
   }
 
   try {
-    const gpio = gpioInstances[socketNumber];
-    if (!gpio) {
-      // Create instance if not yet initialized
-      gpioInstances[socketNumber] = new Gpio(gpioNumber, 'out');
-    }
+    const before = getSocketState(socket.id);
+    gpioFor(socket).writeSync(levelFor(socket, true));
+    console.log(`✅ Socket ${socket.id} activated (GPIO ${socket.gpioLine})`);
+    auditSwitch(socket, before, true, context);
+  } catch (err) {
+    console.error(`GPIO activation error (socket ${socket.id}):`, err);
+  }
+}
+
+/**
+ * Turn OFF the socket
+ * @param {number} socketNumber - Socket to cut
+ * @param {Object} context - For the audit log: { actor, transactionId, reason }
+ */
+export function turnOffSocket(socketNumber, context = {}) {
+  const socket = requireSocket(socketNumber);
 
-    gpioInstances[socketNumber].writeSync(0);
-    console.log(`❌ Socket ${socketNumber} deactivated (GPIO ${gpioNumber})`);
+  try {
+    const before = getSocketState(socket.id);
+    gpioFor(socket).writeSync(levelFor(socket, false));
+    console.log(`❌ Socket ${socket.id} deactivated (GPIO ${socket.gpioLine})`);
+    auditSwitch(socket, before, false, context);
+  } catch (err) {
+    console.error(`GPIO deactivation error (socket ${socket.id}):`, err);
+  }
+}
+
+// Read the current relay state of a socket (1 = on, 0 = off, null = never driven)
+export function getSocketState(socketNumber) {
+  const socket = requireSocket(socketNumber);
+
+  const gpio = gpioInstances[socket.id];
+  if (!gpio) return null;
+
+  try {
+    return gpio.readSync() ^ (socket.activeLow ? 1 : 0);
   } catch (err) {
-    console.error(`GPIO deactivation error (socket ${socketNumber}):`, err);
+    console.error(`GPIO read error (socket ${socketNumber}):`, err);
+    return null;
   }
 }
 
-// Optional: Clean up GPIOs on app exit
-process.on('SIGINT', () => {
+// List every configured socket number
+export function getSocketNumbers() {
+  return getSockets().map(socket => socket.id);
+}
+
+// Force every configured socket OFF (used at boot and on shutdown)
+export function turnOffAllSockets(reason = 'all-off') {
+  getSocketNumbers().forEach(socketNumber => turnOffSocket(socketNumber, { reason }));
+}
+
+// Turn every socket OFF and release the GPIO lines before the process exits
+export function releaseAllSockets() {
   Object.entries(gpioInstances).forEach(([socket, gpio]) => {
-    gpio.writeSync(0);
-    gpio.unexport();
-    console.log(`🧹 Cleaned up socket ${socket}`);
+    try {
+      gpio.writeSync(levelFor(getSocket(socket), false));
+      gpio.unexport();
+      console.log(`🧹 Cleaned up socket ${socket}`);
+    } catch (err) {
+      console.error(`GPIO cleanup error (socket ${socket}):`, err);
+    }
+    delete gpioInstances[socket];
   });
-  process.exit();
-});
+}
@@ -0,0 +1,58 @@
+// utils/kioskStations.js
+
+import crypto from 'crypto';
+import { config } from './config.js';
+import { readCookie } from './security.js';
+import { getStations } from './rfidReader.js';
+
+// A kiosk browser is bound to a reader station by an admin. The binding lives in a cookie
+// signed with the session secret, so a browser cannot pick a station (and receive its taps) itself.
+export const STATION_COOKIE = 'xf.station';
+
+// Kiosks are set up once and left running
+const STATION_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+function signatureFor(station) {
+  return crypto.createHmac('sha256', config.session.secret).update(`kiosk-station:${station}`).digest('base64url');
+}
+
+/**
+ * Station this browser was registered to, if the registration is genuine and the station still exists
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+export function stationFor(req) {
+  const value = readCookie(req, STATION_COOKIE);
+  const split = value ? value.lastIndexOf('.') : -1;
+  if (split < 1) return null;
+
+  const station = value.slice(0, split);
+  const expected = Buffer.from(signatureFor(station));
+  const sent = Buffer.from(value.slice(split + 1));
+  if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) return null;
+
+  return getStations().includes(station) ? station : null;
+}
+
+/**
+ * Bind this browser to a reader station (admins only)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} station - A station from config/readers.json
+ */
+export function registerStation(req, res, station) {
+  res.cookie(STATION_COOKIE, `${station}.${signatureFor(station)}`, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: STATION_COOKIE_MAX_AGE_MS
+  });
+}
+
+/**
+ * Remove this browser's station binding
+ * @param {Object} res - Express response
+ */
+export function forgetStation(res) {
+  res.clearCookie(STATION_COOKIE);
+}
@@ -0,0 +1,128 @@
+// utils/liveEvents.js
+
+import { stationFor } from './kioskStations.js';
+
+// Heartbeat keeps proxies from closing idle streams
+const HEARTBEAT_MS = 25000;
+
+// Event names pushed to browsers
+export const EVENTS = {
+  TRANSACTION_STARTED: 'transaction.started',
+  TRANSACTION_ENDED: 'transaction.ended',
+  POINTS_CHANGED: 'points.changed',
+  ATTENDANCE_MARKED: 'attendance.marked',
+  SOCKET_CHANGED: 'socket.changed',
+  RFID_SCANNED: 'rfid.scanned',
+  SESSION_ENDING: 'session.ending',
+  BALANCE_LOW: 'balance.low',
+  TRANSFER_RECEIVED: 'transfer.received'
+};
+
+// Open streams → { res, rfid, role, station }
+const subscribers = new Set();
+// Server-side handlers (e.g. email notifications) keyed by event type
+const listeners = new Map();
+let nextEventId = 1;
+let heartbeat = null;
+
+function write(subscriber, chunk) {
+  try {
+    subscriber.res.write(chunk);
+  } catch (err) {
+    subscribers.delete(subscriber);
+  }
+}
+
+function startHeartbeat() {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    subscribers.forEach(subscriber => write(subscriber, ': ping\n\n'));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+}
+
+function stopHeartbeatIfIdle() {
+  if (subscribers.size === 0 && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+}
+
+/**
+ * Push an event to connected browsers.
+ * Events about a student (options.rfid) only reach that student and admins;
+ * station events (options.station) only reach kiosk browsers registered to that station;
+ * events with neither are public (socket state, attendance feed).
+ * @param {string} type - One of EVENTS
+ * @param {Object} data - JSON-serializable payload
+ * @param {Object} options - { rfid } or { station } to restrict the audience
+ */
+export function publish(type, data = {}, options = {}) {
+  (listeners.get(type) || []).forEach((handler) => {
+    // A failing handler must not break the publisher or leave a rejection unhandled
+    Promise.resolve()
+      .then(() => handler(data, options))
+      .catch(err => console.error(`Error handling ${type} event:`, err));
+  });
+
+  if (subscribers.size === 0) return;
+
+  const { rfid = null, station = null } = options;
+  const chunk = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, at: Date.now() })}\n\n`;
+
+  subscribers.forEach((subscriber) => {
+    if (station && subscriber.station !== station) return;
+    if (rfid && subscriber.role !== 'admin' && subscriber.rfid !== rfid) return;
+    write(subscriber, chunk);
+  });
+}
+
+/**
+ * Run a server-side handler for every published event of a type.
+ * Handlers run after the publisher's own work and may be async.
+ * @param {string} type - One of EVENTS
+ * @param {Function} handler - (data, options) => void
+ */
+export function onEvent(type, handler) {
+  listeners.set(type, [...(listeners.get(type) || []), handler]);
+}
+
+/**
+ * Express handler for GET /api/events (Server-Sent Events).
+ * Anonymous kiosks (attendance scanner) receive public events only, plus
+ * their station's events once an admin has registered the browser to a station.
+ */
+export function streamEvents(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const subscriber = {
+    res,
+    rfid: req.session?.rfid || null,
+    role: req.session?.userId ? (req.session.role || 'user') : 'guest',
+    station: stationFor(req)
+  };
+  subscribers.add(subscriber);
+  startHeartbeat();
+
+  // Ask the browser to wait a few seconds before reconnecting after a drop
+  res.write('retry: 3000\n\n');
+
+  req.on('close', () => {
+    subscribers.delete(subscriber);
+    stopHeartbeatIfIdle();
+  });
+}
+
+/**
+ * Number of open event streams (for diagnostics)
+ * @returns {number}
+ */
+export function getSubscriberCount() {
+  return subscribers.size;
+}
@@ -0,0 +1,196 @@
+// utils/mailer.js
+
+import fs from 'fs';
+import path from 'path';
+import ejs from 'ejs';
+import nodemailer from 'nodemailer';
+import { randomUUID } from 'crypto';
+import { config } from './config.js';
+
+// Named templates: a view in views/emails and the subject line it is sent with
+export const MAIL_TEMPLATES = {
+  otp: { view: 'otp', subject: () => 'Your XianFire verification code' },
+  passwordReset: { view: 'password-reset', subject: () => 'Password reset for XianFire' },
+  sessionReceipt: { view: 'session-receipt', subject: data => `Charging receipt: socket ${data.socketNumber}` },
+  lowBalance: { view: 'low-balance', subject: data => `Low balance: ${data.points} points left` },
+  sessionEnding: { view: 'session-ending', subject: data => `Charging ends in ${data.minutesLeft} minute(s)` }
+};
+
+const TEMPLATE_DIR = path.join(process.cwd(), 'views', 'emails');
+
+// Waits before each retry of a transient failure; the message is dropped after the last
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
+
+// Connection problems and SMTP 4xx replies are worth retrying; anything else is not
+const TRANSIENT_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED'];
+
+export class MailerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailerError';
+  }
+}
+
+function isTransient(err) {
+  return TRANSIENT_CODES.includes(err.code) || (err.responseCode >= 400 && err.responseCode < 500);
+}
+
+// Writes each message to disk instead of sending it, for the dev outbox page
+class OutboxTransport {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async sendMail(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const id = `${Date.now()}-${randomUUID().slice(0, 8)}`;
+    await fs.promises.writeFile(path.join(this.dir, `${id}.json`), JSON.stringify({ id, ...message, createdAt: new Date().toISOString() }, null, 2));
+    return { messageId: id };
+  }
+}
+
+let transport;
+let transportName;
+
+// Created on first use so scripts that never send mail do not open SMTP connections.
+// The config module has already checked that the SMTP settings are complete.
+function activeTransport() {
+  if (transportName) return transport;
+
+  const { smtp } = config.mail;
+  // The outbox holds reset codes in plain text, so it is never picked without being asked for
+  transportName = config.mail.transport || (smtp.host ? 'smtp' : 'none');
+
+  if (transportName === 'smtp') {
+    transport = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: { user: smtp.user, pass: smtp.pass }
+    });
+  } else if (transportName === 'outbox') {
+    transport = new OutboxTransport(outboxDir());
+  } else {
+    transport = null;
+  }
+  return transport;
+}
+
+function outboxDir() {
+  return config.mail.outboxDir;
+}
+
+/**
+ * Whether mail can be delivered (or written to the outbox)
+ * @returns {boolean}
+ */
+export function mailerAvailable() {
+  return Boolean(activeTransport());
+}
+
+/**
+ * Whether messages go to the local outbox rather than a mail server (only with MAIL_TRANSPORT=outbox, never in production)
+ * @returns {boolean}
+ */
+export function outboxEnabled() {
+  activeTransport();
+  return transportName === 'outbox' && !config.production;
+}
+
+/**
+ * Render a named template
+ * @param {string} name - Key of MAIL_TEMPLATES
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} - { subject, html, text }
+ */
+export async function renderMail(name, data = {}) {
+  const template = MAIL_TEMPLATES[name];
+  if (!template) throw new MailerError(`Unknown mail template "${name}"`);
+
+  const html = await ejs.renderFile(path.join(TEMPLATE_DIR, `${template.view}.xian`), data);
+  // Plain-text part for clients that do not show HTML
+  const text = html
+    .replace(/<(style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/td>\s*<td[^>]*>/gi, ': ')
+    .replace(/<br\s*\/?>|<\/(p|h\d|tr|div)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(lt|gt|quot|#39|nbsp|amp);/g, (entity, name) => ({ lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ', amp: '&' }[name]))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+
+  return { subject: template.subject(data), html, text };
+}
+
+// Retry queue: each failed message waits its turn on a timer that does not hold the process open
+function retryLater(message, attempt) {
+  const delay = RETRY_DELAYS_MS[attempt];
+  setTimeout(async () => {
+    try {
+      await transport.sendMail(message);
+      console.log(`📧 Sent "${message.subject}" to ${message.to} on retry ${attempt + 1}`);
+    } catch (err) {
+      if (isTransient(err) && attempt + 1 < RETRY_DELAYS_MS.length) {
+        return retryLater(message, attempt + 1);
+      }
+      console.error(`📧 Gave up sending "${message.subject}" to ${message.to}:`, err);
+    }
+  }, delay).unref();
+  console.warn(`📧 Will retry "${message.subject}" to ${message.to} in ${delay / 1000}s`);
+}
+
+/**
+ * Render and send a templated email. The first attempt is awaited; if it fails with a
+ * transient error the message is queued for retries in the background.
+ * @param {string} name - Key of MAIL_TEMPLATES
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} - { messageId } when sent, { queued: true } when retrying
+ */
+export async function sendMail(name, to, data = {}) {
+  if (!activeTransport()) throw new MailerError('Email is not configured on this server');
+
+  const { subject, html, text } = await renderMail(name, data);
+  const message = { from: config.mail.smtp.from || config.mail.smtp.user || 'XianFire <no-reply@localhost>', to, subject, html, text, template: name };
+
+  try {
+    const info = await transport.sendMail(message);
+    return { messageId: info.messageId };
+  } catch (err) {
+    if (!isTransient(err)) throw err;
+
+    console.warn(`📧 Sending "${subject}" to ${to} failed (${err.code || err.responseCode})`);
+    retryLater(message, 0);
+    return { queued: true };
+  }
+}
+
+/**
+ * Messages in the dev outbox, newest first
+ * @returns {Promise<Array>} - [{ id, to, subject, template, createdAt }]
+ */
+export async function listOutbox() {
+  const dir = outboxDir();
+  const files = fs.existsSync(dir) ? await fs.promises.readdir(dir) : [];
+  const messages = await Promise.all(files
+    .filter(file => file.endsWith('.json'))
+    .map(async file => JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'))));
+
+  return messages
+    .map(({ id, to, subject, template, createdAt }) => ({ id, to, subject, template, createdAt }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * One message from the dev outbox
+ * @param {string} id - Message id
+ * @returns {Promise<Object|null>}
+ */
+export async function readOutboxMessage(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(outboxDir(), `${id}.json`), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,137 @@
+// utils/notifications.js
+
+import { TransactionModel } from '../models/transactionModel.js';
+import { ReceiptModel } from '../models/receiptModel.js';
+import { NotificationModel } from '../models/notificationModel.js';
+import { publish, onEvent, EVENTS } from './liveEvents.js';
+import { sendMail, mailerAvailable } from './mailer.js';
+import { formatCampusTime } from './campusTime.js';
+
+// Pending "session ending" reminders keyed by transaction ID
+const reminders = new Map();
+
+function toDate(timestamp) {
+  if (!timestamp) return null;
+  return timestamp.toDate ? timestamp.toDate() : new Date((timestamp.seconds || 0) * 1000);
+}
+
+function formatWhen(timestamp) {
+  const date = toDate(timestamp);
+  return date ? formatCampusTime(date, { dateStyle: 'medium', timeStyle: 'short' }) : '-';
+}
+
+// Email only when the student has an address and the server can send mail
+async function emailIfPossible(recipient, template, data) {
+  if (!recipient.email || !mailerAvailable()) return false;
+  await sendMail(template, recipient.email, { name: recipient.name, ...data });
+  return true;
+}
+
+/**
+ * Email the receipt of an ended session unless the student turned receipts off
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<void>}
+ */
+export async function sendReceipt(transactionId) {
+  const receipt = await ReceiptModel.get(transactionId);
+  if (!receipt) return;
+
+  const recipient = await NotificationModel.forStudent(receipt.rfid);
+  if (!recipient || !recipient.prefs.emailReceipts) return;
+
+  const sent = await emailIfPossible(recipient, 'sessionReceipt', {
+    socketNumber: receipt.socketNumber,
+    socketLabel: receipt.socketLabel,
+    startedAt: formatWhen(receipt.startTime),
+    endedAt: formatWhen(receipt.endTime),
+    durationMinutes: Math.round((receipt.durationSeconds || 0) / 60),
+    energyWh: receipt.energyWh,
+    pointsUsed: receipt.pointsCharged,
+    pointsRefunded: receipt.pointsRefunded,
+    balance: receipt.balanceAfter ?? '-'
+  });
+  if (sent) await ReceiptModel.markEmailed(transactionId);
+}
+
+/**
+ * Remind the student shortly before a session's time runs out, if they opted in.
+ * Called whenever a session is powered (started or resumed after a restart).
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<void>}
+ */
+export async function scheduleEndingReminder(transactionId) {
+  cancelEndingReminder(transactionId);
+
+  const transaction = await TransactionModel.getTransactionById(transactionId);
+  const endsAt = toDate(transaction?.expectedEndTime);
+  if (!transaction || !endsAt) return;
+
+  const recipient = await NotificationModel.forStudent(transaction.rfid);
+  if (!recipient || !recipient.prefs.sessionEnding.enabled) return;
+
+  const { minutesBefore } = recipient.prefs.sessionEnding;
+  const delay = endsAt.getTime() - minutesBefore * 60 * 1000 - Date.now();
+  // Sessions shorter than the lead time get no reminder
+  if (delay <= 0) return;
+
+  const timer = setTimeout(() => {
+    reminders.delete(transactionId);
+    remindSessionEnding(transactionId, recipient, minutesBefore).catch((err) => {
+      console.error(`Failed to send session ending reminder for ${transactionId}:`, err);
+    });
+  }, delay);
+  timer.unref();
+  reminders.set(transactionId, timer);
+}
+
+/**
+ * Drop a pending reminder (the session ended early)
+ * @param {string} transactionId - The transaction ID
+ */
+export function cancelEndingReminder(transactionId) {
+  clearTimeout(reminders.get(transactionId));
+  reminders.delete(transactionId);
+}
+
+async function remindSessionEnding(transactionId, recipient, minutesLeft) {
+  const transaction = await TransactionModel.getTransactionById(transactionId);
+  if (!transaction || transaction.status !== 'in-progress') return;
+
+  publish(EVENTS.SESSION_ENDING, {
+    transactionId,
+    socketNumber: transaction.socketNumber,
+    minutesLeft
+  }, { rfid: transaction.rfid });
+
+  await emailIfPossible(recipient, 'sessionEnding', {
+    socketNumber: transaction.socketNumber,
+    socketLabel: transaction.socketType,
+    minutesLeft,
+    endsAt: formatCampusTime(toDate(transaction.expectedEndTime), { timeStyle: 'short' })
+  });
+}
+
+// Alert once when a debit takes the balance from at or above the threshold to below it
+async function checkLowBalance({ balance, delta }, { rfid }) {
+  if (!rfid || !(delta < 0)) return;
+
+  const recipient = await NotificationModel.forStudent(rfid);
+  if (!recipient || !recipient.prefs.lowBalance.enabled) return;
+
+  const { threshold } = recipient.prefs.lowBalance;
+  if (balance >= threshold || balance - delta < threshold) return;
+
+  publish(EVENTS.BALANCE_LOW, { balance, threshold }, { rfid });
+  await emailIfPossible(recipient, 'lowBalance', { points: balance, threshold });
+}
+
+/**
+ * Hook notifications up to live events. Call once at boot.
+ */
+export function startNotifications() {
+  onEvent(EVENTS.TRANSACTION_ENDED, async ({ transactionId }) => {
+    cancelEndingReminder(transactionId);
+    await sendReceipt(transactionId);
+  });
+  onEvent(EVENTS.POINTS_CHANGED, checkLowBalance);
+}
@@ -0,0 +1,334 @@
+// utils/powerMeter.js
+
+import fs from 'fs';
+import { config as appConfig } from './config.js';
+import { TransactionModel } from '../models/transactionModel.js';
+import { getSocket } from './socketRegistry.js';
+
+// Metering settings live in config/metering.json unless METERING_CONFIG points elsewhere
+const configPath = appConfig.configFiles.metering;
+
+export const METER_DRIVERS = ['ina219', 'simulated'];
+
+/**
+ * Validate a raw metering config and return a normalized copy.
+ * The simulated driver reports every device as full after a while, so production refuses it.
+ * @param {Object} raw - Parsed metering.json
+ * @param {Object} options - { production } (defaults to the app config)
+ * @returns {Object} - Normalized config
+ */
+export function validateMeteringConfig(raw, { production = appConfig.production } = {}) {
+  const errors = [];
+  const config = {
+    enabled: raw.enabled === undefined ? false : raw.enabled,
+    driver: raw.driver || 'ina219',
+    sampleIntervalMs: raw.sampleIntervalMs ?? 5000,
+    flushEverySamples: raw.flushEverySamples ?? 6,
+    warmupSeconds: raw.warmupSeconds ?? 30,
+    idleThresholdWatts: raw.idleThresholdWatts ?? 1.5,
+    idleSeconds: raw.idleSeconds ?? 60,
+    sensors: raw.sensors || {},
+    simulated: { chargingWatts: 10, idleWatts: 0.3, fullAfterSeconds: 900, ...(raw.simulated || {}) }
+  };
+
+  if (typeof config.enabled !== 'boolean') errors.push('enabled must be true or false');
+  if (!METER_DRIVERS.includes(config.driver)) errors.push(`driver must be one of: ${METER_DRIVERS.join(', ')}`);
+  if (production && config.enabled && config.driver === 'simulated') {
+    errors.push('driver cannot be simulated in production; it would end every session as idle after a fixed time');
+  }
+  if (!Number.isInteger(config.sampleIntervalMs) || config.sampleIntervalMs < 250) {
+    errors.push('sampleIntervalMs must be an integer of at least 250');
+  }
+  if (!Number.isInteger(config.flushEverySamples) || config.flushEverySamples < 1) {
+    errors.push('flushEverySamples must be a positive integer');
+  }
+  ['warmupSeconds', 'idleThresholdWatts', 'idleSeconds'].forEach((key) => {
+    if (typeof config[key] !== 'number' || config[key] < 0) errors.push(`${key} must be a non-negative number`);
+  });
+
+  if (config.driver === 'ina219') {
+    Object.entries(config.sensors).forEach(([socketId, sensor]) => {
+      const where = `sensors.${socketId}`;
+      if (!getSocket(socketId)) errors.push(`${where} does not match a configured socket`);
+      if (!Number.isInteger(sensor.bus) || sensor.bus < 0) errors.push(`${where}.bus must be a non-negative integer`);
+      if (!Number.isInteger(sensor.address) || sensor.address < 0x03 || sensor.address > 0x77) {
+        errors.push(`${where}.address must be a 7-bit I2C address`);
+      }
+      if (typeof sensor.shuntOhms !== 'number' || sensor.shuntOhms <= 0) {
+        errors.push(`${where}.shuntOhms must be a positive number`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return config;
+}
+
+function loadConfig() {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read metering config at ${configPath}: ${err.message}`);
+  }
+
+  try {
+    return validateMeteringConfig(parsed);
+  } catch (err) {
+    throw new Error(`Invalid metering config at ${configPath}:\n${err.message}`);
+  }
+}
+
+const config = loadConfig();
+
+// ---------- Drivers ----------
+
+// Simulated device: draws steady power until "full", then trickles below the idle threshold
+class SimulatedDriver {
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  read(socketNumber, session) {
+    const { chargingWatts, idleWatts, fullAfterSeconds } = this.settings;
+    const elapsed = (Date.now() - session.startedAt) / 1000;
+    const base = elapsed < fullAfterSeconds ? chargingWatts : idleWatts;
+    const powerW = Math.max(0, base * (0.95 + Math.random() * 0.1));
+    const voltageV = 5.0;
+    return { voltageV, currentA: powerW / voltageV, powerW };
+  }
+}
+
+// INA219 over I2C: shunt voltage register 0x01 (10 µV/LSB), bus voltage register 0x02 (4 mV/LSB, bits 15..3)
+class Ina219Driver {
+  constructor(i2c, sensors) {
+    this.i2c = i2c;
+    this.sensors = sensors;
+    this.buses = {};
+  }
+
+  bus(number) {
+    if (!this.buses[number]) {
+      this.buses[number] = this.i2c.openSync(number);
+    }
+    return this.buses[number];
+  }
+
+  // SMBus words are little-endian, INA219 registers are big-endian
+  readRegister(sensor, register) {
+    const word = this.bus(sensor.bus).readWordSync(sensor.address, register);
+    return ((word & 0xff) << 8) | (word >> 8);
+  }
+
+  read(socketNumber) {
+    const sensor = this.sensors[socketNumber];
+    if (!sensor) {
+      throw new Error(`No INA219 sensor configured for socket ${socketNumber}`);
+    }
+
+    let shuntRaw = this.readRegister(sensor, 0x01);
+    if (shuntRaw & 0x8000) shuntRaw -= 0x10000;
+    const shuntV = shuntRaw * 10e-6;
+    const voltageV = (this.readRegister(sensor, 0x02) >> 3) * 0.004;
+    const currentA = shuntV / sensor.shuntOhms;
+
+    return { voltageV, currentA, powerW: Math.max(0, voltageV * currentA) };
+  }
+
+  close() {
+    Object.values(this.buses).forEach(bus => bus.closeSync());
+    this.buses = {};
+  }
+}
+
+let driver;
+let meteringEnabled = config.enabled;
+if (config.enabled && config.driver === 'ina219') {
+  try {
+    // Only available on the Raspberry Pi image
+    const i2c = await import('i2c-bus');
+    driver = new Ina219Driver(i2c.default || i2c, config.sensors);
+  } catch (err) {
+    if (appConfig.production) {
+      // Made-up readings would end real sessions early, so run them for their paid time instead
+      console.error('❌ i2c-bus package not available, power metering is off');
+      meteringEnabled = false;
+    } else {
+      console.warn('⚠️ i2c-bus package not available, using simulated power meter');
+    }
+  }
+}
+if (!driver) {
+  driver = new SimulatedDriver(config.simulated);
+  if (meteringEnabled) console.log('🔧 Using simulated power meter');
+}
+
+// ---------- Metering sessions ----------
+
+// Active metering keyed by transaction ID
+const sessions = new Map();
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// What this process measured but has not yet added to the transaction's stored totals.
+// Totals are only ever added to, so a session resumed after a restart keeps what was stored before.
+function unsaved(session) {
+  return {
+    energyWh: round(session.energyWh - session.storedEnergyWh, 4),
+    peakWatts: round(session.peakWatts),
+    sampleCount: session.sampleCount - session.storedSampleCount
+  };
+}
+
+// Writes run one after another per session; the saved cursor moves before each write starts,
+// so a stop during a write never counts the same energy again
+function flush(transactionId, session) {
+  session.flushing = session.flushing.then(() => writeSamples(transactionId, session));
+  return session.flushing;
+}
+
+async function writeSamples(transactionId, session) {
+  if (session.pending.length === 0) return;
+  const samples = session.pending;
+  const measured = unsaved(session);
+  const saved = { energyWh: session.storedEnergyWh, sampleCount: session.storedSampleCount };
+
+  session.pending = [];
+  session.storedEnergyWh = session.energyWh;
+  session.storedSampleCount = session.sampleCount;
+  try {
+    await TransactionModel.appendMeterSamples(transactionId, samples, measured);
+  } catch (err) {
+    // The samples are lost, but their energy is added by a later flush or at settlement
+    session.storedEnergyWh = saved.energyWh;
+    session.storedSampleCount = saved.sampleCount;
+    console.error(`Failed to store meter samples for transaction ${transactionId}:`, err);
+  }
+}
+
+function sample(transactionId) {
+  const session = sessions.get(transactionId);
+  if (!session) return;
+
+  let reading;
+  try {
+    reading = driver.read(session.socketNumber, session);
+  } catch (err) {
+    console.error(`Meter read error (socket ${session.socketNumber}):`, err);
+    return;
+  }
+
+  const now = Date.now();
+  session.energyWh += reading.powerW * ((now - session.lastSampleAt) / 3600000);
+  session.lastSampleAt = now;
+  session.peakWatts = Math.max(session.peakWatts, reading.powerW);
+  session.sampleCount++;
+  session.pending.push({
+    at: new Date(now),
+    voltageV: round(reading.voltageV),
+    currentA: round(reading.currentA),
+    powerW: round(reading.powerW)
+  });
+
+  if (session.pending.length >= config.flushEverySamples) {
+    flush(transactionId, session);
+  }
+
+  // Idle detection: the device is full or unplugged once draw stays low long enough
+  const warmedUp = now - session.startedAt >= config.warmupSeconds * 1000;
+  if (!warmedUp || reading.powerW >= config.idleThresholdWatts) {
+    session.idleSince = null;
+    return;
+  }
+
+  session.idleSince = session.idleSince || now;
+  if (now - session.idleSince >= config.idleSeconds * 1000 && session.onIdle && !session.idleFired) {
+    session.idleFired = true;
+    console.log(`🔋 Socket ${session.socketNumber} idle below ${config.idleThresholdWatts}W, ending transaction ${transactionId}`);
+    Promise.resolve(session.onIdle()).catch(err => {
+      console.error(`Idle handler failed for transaction ${transactionId}:`, err);
+    });
+  }
+}
+
+/**
+ * Start sampling a socket for a charging session
+ * @param {string} transactionId - The transaction ID
+ * @param {number} socketNumber - Socket being metered
+ * @param {Object} options - { onIdle() } called once when draw stays below the threshold
+ */
+export function startMetering(transactionId, socketNumber, options = {}) {
+  if (!meteringEnabled) return;
+
+  if (sessions.has(transactionId)) {
+    clearInterval(sessions.get(transactionId).timer);
+  }
+
+  const now = Date.now();
+  const session = {
+    socketNumber,
+    onIdle: options.onIdle,
+    startedAt: now,
+    lastSampleAt: now,
+    energyWh: 0,
+    peakWatts: 0,
+    sampleCount: 0,
+    storedEnergyWh: 0,
+    storedSampleCount: 0,
+    pending: [],
+    flushing: Promise.resolve(),
+    idleSince: null,
+    idleFired: false,
+    timer: null
+  };
+  session.timer = setInterval(() => sample(transactionId), config.sampleIntervalMs);
+  sessions.set(transactionId, session);
+}
+
+/**
+ * Stop sampling and store any remaining samples
+ * @param {string} transactionId - The transaction ID
+ * @returns {Promise<Object|null>} - { energyWh, peakWatts, sampleCount } not yet in the stored totals
+ *   (all zero unless the last write failed), or null if not metered
+ */
+export async function stopMetering(transactionId) {
+  const session = sessions.get(transactionId);
+  if (!session) return null;
+
+  clearInterval(session.timer);
+  sessions.delete(transactionId);
+  // Waits for a write already in flight before storing the rest
+  await flush(transactionId, session);
+  return unsaved(session);
+}
+
+/**
+ * Stop every metering session (used on shutdown)
+ * @returns {Promise<void>}
+ */
+export async function stopAllMetering() {
+  await Promise.allSettled(Array.from(sessions.keys()).map(stopMetering));
+  if (typeof driver.close === 'function') driver.close();
+}
+
+/**
+ * Latest totals for a metered session: what is stored on the transaction plus what is not yet
+ * @param {Object} transaction - In-progress transaction with id and its stored meter totals
+ * @returns {Object|null} - { energyWh, peakWatts, sampleCount }
+ */
+export function getMeterSummary(transaction) {
+  const session = sessions.get(transaction.id);
+  if (!session) return null;
+  const pending = unsaved(session);
+  return {
+    energyWh: round((transaction.energyWh || 0) + pending.energyWh, 4),
+    peakWatts: Math.max(transaction.peakWatts || 0, pending.peakWatts),
+    sampleCount: (transaction.sampleCount || 0) + pending.sampleCount
+  };
+}
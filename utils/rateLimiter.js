@@ -0,0 +1,335 @@
+// utils/rateLimiter.js
+
+import fs from 'fs';
+import { config as appConfig } from './config.js';
+import { FirestoreRateLimitStore } from '../models/rateLimitStore.js';
+import { stationFor } from './kioskStations.js';
+
+// Limits live in config/rateLimits.json unless RATE_LIMIT_CONFIG points elsewhere
+const configPath = appConfig.configFiles.rateLimits;
+
+export const RATE_LIMIT_STORES = ['memory', 'firestore'];
+
+// What a limit counts against: the client address or the email in the request body
+const LIMIT_KEYS = ['ip', 'account'];
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate a raw rate limit config and return a normalized copy.
+ * A limit allows `max` attempts per `windowSeconds`, then locks the key out for
+ * `lockoutSeconds`, doubling with every further lockout up to `maxLockoutSeconds`.
+ * @param {Object} raw - Parsed rateLimits.json
+ * @returns {Object} - { store, trustProxy, strikeMemorySeconds, limits, otp }
+ */
+export function validateRateLimitConfig(raw) {
+  const errors = [];
+  const config = raw || {};
+  const store = config.store ?? 'memory';
+  const trustProxy = config.trustProxy ?? false;
+  const strikeMemorySeconds = config.strikeMemorySeconds ?? 86400;
+  const otp = { maxAttempts: 5, resendCooldownSeconds: 60, ...(config.otp || {}) };
+
+  if (!RATE_LIMIT_STORES.includes(store)) errors.push(`store must be one of: ${RATE_LIMIT_STORES.join(', ')}`);
+  if (!['boolean', 'number', 'string'].includes(typeof trustProxy)) {
+    errors.push('trustProxy must be true/false, a hop count or an Express "trust proxy" string');
+  }
+  if (!isPositiveInteger(strikeMemorySeconds)) errors.push('strikeMemorySeconds must be a positive integer');
+  if (!isPositiveInteger(otp.maxAttempts)) errors.push('otp.maxAttempts must be a positive integer');
+  if (!Number.isInteger(otp.resendCooldownSeconds) || otp.resendCooldownSeconds < 0) {
+    errors.push('otp.resendCooldownSeconds must be a non-negative integer');
+  }
+  if (!config.limits || typeof config.limits !== 'object' || Array.isArray(config.limits)) {
+    errors.push('limits must be an object of named limits');
+  }
+
+  const limits = {};
+  Object.entries(config.limits || {}).forEach(([name, rawLimit]) => {
+    const where = `limits.${name}`;
+    const limit = {
+      by: rawLimit.by,
+      max: rawLimit.max,
+      windowSeconds: rawLimit.windowSeconds,
+      lockoutSeconds: rawLimit.lockoutSeconds,
+      maxLockoutSeconds: rawLimit.maxLockoutSeconds ?? rawLimit.lockoutSeconds
+    };
+
+    if (!LIMIT_KEYS.includes(limit.by)) errors.push(`${where}.by must be one of: ${LIMIT_KEYS.join(', ')}`);
+    if (!isPositiveInteger(limit.max)) errors.push(`${where}.max must be a positive integer`);
+    if (!isPositiveInteger(limit.windowSeconds)) errors.push(`${where}.windowSeconds must be a positive integer`);
+    if (!isPositiveInteger(limit.lockoutSeconds)) {
+      errors.push(`${where}.lockoutSeconds must be a positive integer`);
+    } else if (!isPositiveInteger(limit.maxLockoutSeconds) || limit.maxLockoutSeconds < limit.lockoutSeconds) {
+      errors.push(`${where}.maxLockoutSeconds must be an integer no smaller than lockoutSeconds`);
+    }
+
+    limits[name] = limit;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return { store, trustProxy, strikeMemorySeconds, limits, otp };
+}
+
+function loadConfig() {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read rate limit config at ${configPath}: ${err.message}`);
+  }
+
+  try {
+    return validateRateLimitConfig(parsed);
+  } catch (err) {
+    throw new Error(`Invalid rate limit config at ${configPath}:\n${err.message}`);
+  }
+}
+
+// Loaded and validated once at boot
+const config = loadConfig();
+
+export const RATE_LIMIT_SETTINGS = { trustProxy: config.trustProxy };
+export const OTP_SETTINGS = config.otp;
+
+/**
+ * Counters kept in process memory. Fine for a single station; they reset on restart.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+    // Drop expired counters every minute without keeping the process alive
+    setInterval(() => this.sweep(), 60 * 1000).unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    this.entries.forEach((item, key) => {
+      if (item.expiresAt <= now) this.entries.delete(key);
+    });
+  }
+
+  read(key) {
+    const item = this.entries.get(key);
+    return item && item.expiresAt > Date.now() ? item.entry : null;
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  // Reads and writes without yielding in between, so parallel hits on a key all count
+  async update(key, mutate, ttlMs) {
+    const entry = mutate(this.read(key));
+    this.entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+    return entry;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = config.store === 'firestore' ? new FirestoreRateLimitStore() : new MemoryRateLimitStore();
+
+/**
+ * Swap the counter store, e.g. for a shared cache. A store implements
+ * get(key), update(key, mutate, ttlMs) (atomically) and delete(key).
+ * @param {Object} customStore - Store instance
+ */
+export function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * One named limit. Entries hold { count, windowStartedAt, lockedUntil, strikes, lastLockedAt }.
+ */
+class RateLimiter {
+  constructor(name, limit) {
+    this.name = name;
+    this.limit = limit;
+  }
+
+  storeKey(id) {
+    return `${this.name}:${String(id).toLowerCase()}`;
+  }
+
+  /**
+   * Whether a key is locked out, without counting an attempt
+   * @param {string} id - IP address or account email
+   * @returns {Promise<Object>} - { limited, retryAfterMs }
+   */
+  async check(id) {
+    const entry = await store.get(this.storeKey(id));
+    const retryAfterMs = entry ? entry.lockedUntil - Date.now() : 0;
+    return retryAfterMs > 0 ? { limited: true, retryAfterMs } : { limited: false, retryAfterMs: 0 };
+  }
+
+  /**
+   * Count one attempt. The attempt that reaches `max` starts a lockout; attempts made
+   * while locked out are rejected and not counted.
+   * @param {string} id - IP address or account email
+   * @returns {Promise<Object>} - { limited, retryAfterMs, remaining }
+   */
+  async hit(id) {
+    const { max, windowSeconds, lockoutSeconds, maxLockoutSeconds } = this.limit;
+    const now = Date.now();
+    let rejected = false;
+
+    const ttlMs = Math.max(maxLockoutSeconds, windowSeconds, config.strikeMemorySeconds) * 1000;
+    const entry = await store.update(this.storeKey(id), (current) => {
+      const next = current ? { ...current } : { count: 0, windowStartedAt: now, lockedUntil: 0, strikes: 0, lastLockedAt: 0 };
+
+      if (next.lockedUntil > now) {
+        rejected = true;
+        return next;
+      }
+      if (next.windowStartedAt + windowSeconds * 1000 <= now) {
+        next.count = 0;
+        next.windowStartedAt = now;
+      }
+      if (next.lastLockedAt + config.strikeMemorySeconds * 1000 <= now) {
+        next.strikes = 0;
+      }
+
+      next.count += 1;
+      if (next.count >= max) {
+        const lockoutMs = Math.min(lockoutSeconds * 2 ** next.strikes, maxLockoutSeconds) * 1000;
+        next.lockedUntil = now + lockoutMs;
+        next.lastLockedAt = now;
+        next.strikes += 1;
+        next.count = 0;
+        next.windowStartedAt = now;
+      }
+      return next;
+    }, ttlMs);
+
+    return {
+      // The attempt that starts a lockout still goes through
+      limited: rejected,
+      retryAfterMs: Math.max(entry.lockedUntil - now, 0),
+      remaining: entry.lockedUntil > now ? 0 : max - entry.count
+    };
+  }
+
+  /**
+   * Clear a key's counter and lockout history (e.g. after a successful login)
+   * @param {string} id - IP address or account email
+   */
+  async reset(id) {
+    await store.delete(this.storeKey(id));
+  }
+}
+
+const limiters = new Map(Object.entries(config.limits).map(([name, limit]) => [name, new RateLimiter(name, limit)]));
+
+function limiterFor(name) {
+  const limiter = limiters.get(name);
+  if (!limiter) {
+    throw new Error(`Unknown rate limit "${name}" (add it to ${configPath})`);
+  }
+  return limiter;
+}
+
+// The value a limit counts against for this request, or null if there is none.
+// A registered kiosk counts against its station rather than the address it shares
+// with other kiosks and the rest of the network.
+function keyFor(req, limiter) {
+  if (limiter.limit.by === 'ip') {
+    const station = stationFor(req);
+    if (station) return `station:${station}`;
+    return req.ip || req.socket?.remoteAddress || null;
+  }
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+  return email || null;
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second(s)`;
+  return `${Math.ceil(seconds / 60)} minute(s)`;
+}
+
+/**
+ * Reject a throttled request: 429 JSON for API callers, or a redirect back to a form page
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} retryAfterMs - How long until the client may retry
+ * @param {Object} options - { redirectTo: form page to send the error to, message }
+ */
+export function sendTooManyRequests(req, res, retryAfterMs, { redirectTo, message } = {}) {
+  const error = message || `Too many attempts. Try again in ${formatWait(retryAfterMs)}.`;
+  res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+
+  if (redirectTo) {
+    return res.redirect(`${redirectTo}?error=${encodeURIComponent(error)}`);
+  }
+  return res.status(429).json({ success: false, error, retryAfterSeconds: Math.ceil(retryAfterMs / 1000) });
+}
+
+/**
+ * Middleware enforcing named limits from the config.
+ * With `count: false` it only turns away locked-out clients; the handler then counts
+ * failures itself with recordFailure(). A broken store lets requests through.
+ * @param {Array<string>} names - Limit names
+ * @param {Object} options - { count (default true), redirectTo }
+ * @returns {Function} - Express middleware
+ */
+export function rateLimit(names, { count = true, redirectTo } = {}) {
+  const selected = names.map(limiterFor);
+
+  return async (req, res, next) => {
+    try {
+      for (const limiter of selected) {
+        const id = keyFor(req, limiter);
+        if (!id) continue;
+
+        const result = count ? await limiter.hit(id) : await limiter.check(id);
+        if (result.limited) {
+          return sendTooManyRequests(req, res, result.retryAfterMs, { redirectTo });
+        }
+      }
+    } catch (err) {
+      console.error('Rate limiter unavailable, allowing request:', err);
+    }
+    next();
+  };
+}
+
+/**
+ * Count a failed attempt (wrong password, unknown card) against named limits
+ * @param {Object} req - Express request
+ * @param {Array<string>} names - Limit names
+ * @returns {Promise<void>}
+ */
+export async function recordFailure(req, names) {
+  try {
+    for (const limiter of names.map(limiterFor)) {
+      const id = keyFor(req, limiter);
+      if (id) await limiter.hit(id);
+    }
+  } catch (err) {
+    console.error('Failed to record rate limit failure:', err);
+  }
+}
+
+/**
+ * Clear named limits for this request's keys (e.g. the account after a successful login)
+ * @param {Object} req - Express request
+ * @param {Array<string>} names - Limit names
+ * @returns {Promise<void>}
+ */
+export async function clearLimits(req, names) {
+  try {
+    for (const limiter of names.map(limiterFor)) {
+      const id = keyFor(req, limiter);
+      if (id) await limiter.reset(id);
+    }
+  } catch (err) {
+    console.error('Failed to clear rate limits:', err);
+  }
+}
@@ -0,0 +1,81 @@
+// utils/resetToken.js
+
+import crypto from 'crypto';
+import { config } from './config.js';
+
+// A verified code buys this long to choose a new password
+export const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+// Without a configured secret (only allowed outside production), tokens and stored
+// codes stay valid until the server restarts
+const secret = config.resetTokenSecret || crypto.randomBytes(32).toString('hex');
+
+function hmac(value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * New six-digit one-time code from a cryptographically secure source
+ * @returns {string}
+ */
+export function generateOtp() {
+  return String(crypto.randomInt(100000, 1000000));
+}
+
+/**
+ * Keyed hash of a one-time code, bound to the email it was sent to
+ * @param {string} email - Account email
+ * @param {string} code - Six-digit code
+ * @returns {string}
+ */
+export function hashOtp(email, code) {
+  return hmac(`otp:${email}:${code}`);
+}
+
+/**
+ * Compare a submitted code with a stored hash in constant time
+ * @param {string} storedHash - Hash from the OTP document
+ * @param {string} email - Account email
+ * @param {string} code - Submitted code
+ * @returns {boolean}
+ */
+export function otpMatches(storedHash, email, code) {
+  return Boolean(storedHash) && safeEqual(storedHash, hashOtp(email, String(code)));
+}
+
+/**
+ * Sign a password reset token. The token id is also stored server-side so it can be used once.
+ * @param {Object} claims - { email, tokenId }
+ * @returns {Object} - { token, expiresAt (ms) }
+ */
+export function signResetToken({ email, tokenId }) {
+  const expiresAt = Date.now() + RESET_TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ email, tokenId, exp: expiresAt })).toString('base64url');
+  return { token: `${payload}.${hmac(`reset:${payload}`)}`, expiresAt };
+}
+
+/**
+ * Check a reset token's signature and expiry
+ * @param {string} token - Token from the client
+ * @returns {Object|null} - { email, tokenId }, or null if forged, malformed or expired
+ */
+export function verifyResetToken(token) {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined || !safeEqual(signature, hmac(`reset:${payload}`))) {
+    return null;
+  }
+
+  try {
+    const { email, tokenId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof email !== 'string' || typeof tokenId !== 'string' || !(exp > Date.now())) return null;
+    return { email, tokenId };
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,367 @@
+// utils/rfidReader.js
+
+import fs from 'fs';
+import path from 'path';
+import { config as appConfig } from './config.js';
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+import { publish, EVENTS } from './liveEvents.js';
+
+// Readers live in config/readers.json unless READERS_CONFIG points elsewhere
+const configPath = appConfig.configFiles.readers;
+
+export const READER_DRIVERS = ['serial', 'input-event', 'simulator'];
+
+/**
+ * Validate a raw reader config and return a normalized copy
+ * @param {Object} raw - Parsed readers.json
+ * @returns {Object} - { manualEntry, scanTtlSeconds, readers }
+ */
+export function validateReaderConfig(raw) {
+  const errors = [];
+  const config = raw || {};
+  const manualEntry = config.manualEntry === undefined ? false : config.manualEntry;
+  const scanTtlSeconds = config.scanTtlSeconds ?? 60;
+
+  if (typeof manualEntry !== 'boolean') errors.push('manualEntry must be true or false');
+  if (!Number.isInteger(scanTtlSeconds) || scanTtlSeconds < 1) errors.push('scanTtlSeconds must be a positive integer');
+  if (!Array.isArray(config.readers)) errors.push('readers must be an array');
+
+  const seenIds = new Set();
+  const readers = (Array.isArray(config.readers) ? config.readers : []).map((rawReader, index) => {
+    const where = `readers[${index}]`;
+    const reader = {
+      id: rawReader.id,
+      station: rawReader.station,
+      driver: rawReader.driver,
+      device: rawReader.device,
+      baudRate: rawReader.baudRate ?? 9600,
+      debounceMs: rawReader.debounceMs ?? 3000,
+      enabled: rawReader.enabled === undefined ? true : rawReader.enabled
+    };
+
+    if (typeof reader.id !== 'string' || !reader.id) {
+      errors.push(`${where}.id must be a non-empty string`);
+    } else if (seenIds.has(reader.id)) {
+      errors.push(`${where}.id "${reader.id}" is used by more than one reader`);
+    } else {
+      seenIds.add(reader.id);
+    }
+    if (typeof reader.station !== 'string' || !reader.station) errors.push(`${where}.station must be a non-empty string`);
+    if (!READER_DRIVERS.includes(reader.driver)) errors.push(`${where}.driver must be one of: ${READER_DRIVERS.join(', ')}`);
+    if (typeof reader.device !== 'string' || !reader.device) errors.push(`${where}.device must be a device path, file or "stdin"`);
+    if (!Number.isInteger(reader.baudRate) || reader.baudRate < 1) errors.push(`${where}.baudRate must be a positive integer`);
+    if (!Number.isInteger(reader.debounceMs) || reader.debounceMs < 0) errors.push(`${where}.debounceMs must be a non-negative integer`);
+    if (typeof reader.enabled !== 'boolean') errors.push(`${where}.enabled must be true or false`);
+
+    return reader;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return { manualEntry, scanTtlSeconds, readers };
+}
+
+function loadConfig() {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read reader config at ${configPath}: ${err.message}`);
+  }
+
+  try {
+    return validateReaderConfig(parsed);
+  } catch (err) {
+    throw new Error(`Invalid reader config at ${configPath}:\n${err.message}`);
+  }
+}
+
+const config = loadConfig();
+
+// ---------- Drivers ----------
+
+// Split a byte stream into tags; UART readers end a tag with CR/LF or ETX (0x03)
+function lineSplitter(onTag) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk.toString('latin1');
+    const parts = buffer.split(/[\r\n\x03]+/);
+    buffer = parts.pop();
+    parts.forEach(part => onTag(part));
+  };
+}
+
+// UART readers (MFRC522 bridges, RDM6300, ...) via the optional serialport package
+class SerialDriver {
+  constructor(reader, onTag) {
+    this.reader = reader;
+    this.onTag = onTag;
+    this.port = null;
+  }
+
+  async start() {
+    let SerialPort;
+    try {
+      ({ SerialPort } = await import('serialport'));
+    } catch (err) {
+      throw new Error('serialport package not available');
+    }
+
+    this.port = new SerialPort({ path: this.reader.device, baudRate: this.reader.baudRate });
+    this.port.on('data', lineSplitter(this.onTag));
+    this.port.on('error', err => console.error(`RFID reader ${this.reader.id} serial error:`, err));
+  }
+
+  stop() {
+    if (this.port && this.port.isOpen) this.port.close();
+  }
+}
+
+// USB readers that present as a keyboard, read from /dev/input/event* instead of a focused browser field
+const EV_KEY = 1;
+const KEY_PRESS = 1;
+const ENTER_KEYS = [28, 96]; // KEY_ENTER, KEY_KPENTER
+const KEY_CHARS = {
+  2: '1', 3: '2', 4: '3', 5: '4', 6: '5', 7: '6', 8: '7', 9: '8', 10: '9', 11: '0',
+  79: '1', 80: '2', 81: '3', 75: '4', 76: '5', 77: '6', 71: '7', 72: '8', 73: '9', 82: '0',
+  30: 'A', 48: 'B', 46: 'C', 32: 'D', 18: 'E', 33: 'F'
+};
+
+class InputEventDriver {
+  constructor(reader, onTag) {
+    this.reader = reader;
+    this.onTag = onTag;
+    this.stream = null;
+    // struct input_event holds a timeval, which is 16 bytes on 64-bit kernels and 8 on 32-bit
+    this.eventSize = ['x64', 'arm64', 'ppc64', 's390x'].includes(process.arch) ? 24 : 16;
+  }
+
+  async start() {
+    let pending = Buffer.alloc(0);
+    let tag = '';
+
+    this.stream = fs.createReadStream(this.reader.device);
+    this.stream.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= this.eventSize) {
+        const event = pending.subarray(0, this.eventSize);
+        pending = pending.subarray(this.eventSize);
+
+        const type = event.readUInt16LE(this.eventSize - 8);
+        const code = event.readUInt16LE(this.eventSize - 6);
+        const value = event.readInt32LE(this.eventSize - 4);
+        if (type !== EV_KEY || value !== KEY_PRESS) continue;
+
+        if (ENTER_KEYS.includes(code)) {
+          this.onTag(tag);
+          tag = '';
+        } else if (KEY_CHARS[code]) {
+          tag += KEY_CHARS[code];
+        }
+      }
+    });
+    this.stream.on('error', err => console.error(`RFID reader ${this.reader.id} input error:`, err));
+  }
+
+  stop() {
+    if (this.stream) this.stream.destroy();
+  }
+}
+
+// Development stand-in: every line appended to the file (or typed on stdin) is a tap
+class SimulatorDriver {
+  constructor(reader, onTag) {
+    this.reader = reader;
+    this.onTag = onTag;
+    this.rl = null;
+    this.file = null;
+  }
+
+  async start() {
+    if (this.reader.device === 'stdin') {
+      this.rl = readline.createInterface({ input: process.stdin });
+      this.rl.on('line', line => this.onTag(line));
+      return;
+    }
+
+    this.file = path.resolve(process.cwd(), this.reader.device);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    if (!fs.existsSync(this.file)) fs.writeFileSync(this.file, '');
+
+    // Only lines written after startup count as taps
+    let offset = fs.statSync(this.file).size;
+    const splitter = lineSplitter(this.onTag);
+
+    fs.watchFile(this.file, { interval: 500 }, (curr) => {
+      if (curr.size < offset) offset = 0;
+      if (curr.size === offset) return;
+
+      const length = curr.size - offset;
+      const buffer = Buffer.alloc(length);
+      const fd = fs.openSync(this.file, 'r');
+      try {
+        fs.readSync(fd, buffer, 0, length, offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+      offset = curr.size;
+      splitter(buffer);
+    });
+  }
+
+  stop() {
+    if (this.rl) this.rl.close();
+    if (this.file) fs.unwatchFile(this.file);
+  }
+}
+
+const DRIVERS = {
+  'serial': SerialDriver,
+  'input-event': InputEventDriver,
+  'simulator': SimulatorDriver
+};
+
+// ---------- Scans ----------
+
+// Running drivers keyed by reader ID
+const running = new Map();
+
+// Last tag per reader, used to drop a card held on the reader
+const lastTaps = new Map();
+
+// Unclaimed scans keyed by scan ID → { rfid, station, readerId, expiresAt }
+const scans = new Map();
+
+function normalizeTag(raw) {
+  return String(raw).replace(/[^0-9A-Za-z]/g, '');
+}
+
+function pruneScans(now) {
+  scans.forEach((scan, scanId) => {
+    if (scan.expiresAt <= now) scans.delete(scanId);
+  });
+}
+
+function handleTag(reader, raw) {
+  const rfid = normalizeTag(raw);
+  if (!rfid) return;
+
+  const now = Date.now();
+  const last = lastTaps.get(reader.id);
+  if (last && last.rfid === rfid && now - last.at < reader.debounceMs) {
+    return;
+  }
+  lastTaps.set(reader.id, { rfid, at: now });
+
+  pruneScans(now);
+  const scanId = randomUUID();
+  scans.set(scanId, {
+    rfid,
+    station: reader.station,
+    readerId: reader.id,
+    expiresAt: now + config.scanTtlSeconds * 1000
+  });
+
+  // The card number stays on the server; the kiosk redeems the scan ID instead
+  publish(EVENTS.RFID_SCANNED, { scanId, readerId: reader.id }, { station: reader.station });
+}
+
+/**
+ * Start every enabled reader. A reader that fails to open is logged and skipped.
+ * @returns {Promise<Object>} - { started, failed }
+ */
+export async function startReaders() {
+  const summary = { started: 0, failed: 0 };
+
+  for (const reader of config.readers.filter(r => r.enabled)) {
+    const driver = new DRIVERS[reader.driver](reader, raw => handleTag(reader, raw));
+    try {
+      await driver.start();
+      running.set(reader.id, driver);
+      summary.started++;
+      console.log(`📇 RFID reader ${reader.id} (${reader.driver}) listening on ${reader.device} for station "${reader.station}"`);
+    } catch (err) {
+      summary.failed++;
+      console.error(`Failed to start RFID reader ${reader.id}:`, err.message);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Stop every running reader
+ */
+export function stopReaders() {
+  running.forEach((driver, readerId) => {
+    try {
+      driver.stop();
+    } catch (err) {
+      console.error(`Failed to stop RFID reader ${readerId}:`, err);
+    }
+  });
+  running.clear();
+}
+
+// A live scan made at the given station
+function findScan(scanId, station) {
+  const scan = scans.get(scanId);
+  if (!scan || !station || scan.station !== station) return null;
+  if (scan.expiresAt <= Date.now()) {
+    scans.delete(scanId);
+    return null;
+  }
+  return scan;
+}
+
+/**
+ * Look at a scan without using it up, e.g. to show the kiosk whose card was tapped
+ * @param {string} scanId - ID from the rfid.scanned event
+ * @param {string} station - Station the asking kiosk is registered to
+ * @returns {Object|null} - { rfid, station, readerId } or null if unknown, expired or from another station
+ */
+export function peekScan(scanId, station) {
+  const scan = findScan(scanId, station);
+  return scan ? { rfid: scan.rfid, station: scan.station, readerId: scan.readerId } : null;
+}
+
+/**
+ * Claim a scan pushed to a kiosk. Each scan can be used once, only by a kiosk registered
+ * to the reader's station, and expires after scanTtlSeconds.
+ * @param {string} scanId - ID from the rfid.scanned event
+ * @param {string} station - Station the claiming kiosk is registered to
+ * @returns {Object|null} - { rfid, station, readerId } or null if unknown, expired, used or from another station
+ */
+export function consumeScan(scanId, station) {
+  const scan = peekScan(scanId, station);
+  if (scan) scans.delete(scanId);
+  return scan;
+}
+
+/**
+ * Whether kiosks may still accept typed RFIDs (no reader hardware)
+ * @returns {boolean}
+ */
+export function isManualEntryAllowed() {
+  return config.manualEntry;
+}
+
+/**
+ * Every station named in config/readers.json
+ * @returns {Array<string>}
+ */
+export function getStations() {
+  return [...new Set(config.readers.map(reader => reader.station))];
+}
+
+/**
+ * Whether a station has at least one enabled reader
+ * @param {string} station - Station name
+ * @returns {boolean}
+ */
+export function stationHasReader(station) {
+  return config.readers.some(reader => reader.enabled && reader.station === station);
+}
@@ -0,0 +1,134 @@
+// utils/security.js
+
+import crypto from 'crypto';
+import { config } from './config.js';
+
+// Random per-browser value; pages get an HMAC of it that cross-site attackers cannot read or compute
+export const CSRF_COOKIE = 'xf.csrf';
+export const CSRF_HEADER = 'X-CSRF-Token';
+// Form posts send the token in this field instead of the header
+export const CSRF_FIELD = '_csrf';
+
+// Kiosk pages stay open for days; the cookie is refreshed whenever a page is rendered
+const CSRF_COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The views use inline <script> blocks and on* handlers, so scripts allow 'unsafe-inline';
+// everything else is limited to this origin plus the font and icon CDNs
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com https://fonts.googleapis.com",
+  "font-src 'self' data: https://cdnjs.cloudflare.com https://fonts.gstatic.com",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+/**
+ * Security headers on every response
+ */
+export function securityHeaders(req, res, next) {
+  res.set({
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'same-origin',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+  });
+  // Only meaningful, and only safe to promise, over HTTPS
+  if (req.secure) res.set('Strict-Transport-Security', 'max-age=15552000');
+  next();
+}
+
+/**
+ * Read one cookie from the request without a cookie-parsing middleware
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+export function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function tokenFor(secret) {
+  return crypto.createHmac('sha256', config.session.secret).update(`csrf:${secret}`).digest('base64url');
+}
+
+function tokensMatch(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function newSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function setSecretCookie(req, res, secret) {
+  res.cookie(CSRF_COOKIE, secret, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: CSRF_COOKIE_MAX_AGE_MS
+  });
+}
+
+// Token for the page being rendered, issuing the cookie on first use
+function issueToken(req, res) {
+  let secret = readCookie(req, CSRF_COOKIE);
+  if (!secret || !/^[\w-]{32,}$/.test(secret)) secret = newSecret();
+
+  setSecretCookie(req, res, secret);
+  return tokenFor(secret);
+}
+
+/**
+ * Give the browser a new CSRF secret when someone signs in, so tokens from pages
+ * rendered before sign-in (or planted by someone else) stop working.
+ */
+export function rotateCsrfToken(req, res) {
+  setSecretCookie(req, res, newSecret());
+}
+
+/**
+ * Require a CSRF token on state-changing requests and expose `csrfToken` to views.
+ * Pages include views/_csrf.xian, which adds the token to same-origin fetch calls;
+ * plain HTML forms post it as `_csrf`.
+ */
+export function csrfProtection(req, res, next) {
+  let token = null;
+  // Only pages that render the token set the cookie; API responses and event streams do not
+  Object.defineProperty(res.locals, 'csrfToken', {
+    enumerable: true,
+    get: () => (token ??= issueToken(req, res))
+  });
+
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  const secret = readCookie(req, CSRF_COOKIE);
+  const sent = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+  if (secret && sent && tokensMatch(sent, tokenFor(secret))) return next();
+
+  const message = 'This page has expired. Reload it and try again.';
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.status(403).json({ success: false, error: message });
+  }
+  // Form posts go back to the page they came from
+  res.redirect(`${req.path}?error=${encodeURIComponent(message)}`);
+}
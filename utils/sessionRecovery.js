@@ -0,0 +1,102 @@
+// utils/sessionRecovery.js
+
+import { TransactionModel } from '../models/transactionModel.js';
+import { turnOffSocket, turnOffAllSockets, releaseAllSockets } from './gpioControl.js';
+import { cancelSessionEnd, getRemainingSeconds, getScheduledSessions } from './chargingWatchdog.js';
+import { stopAllMetering } from './powerMeter.js';
+import { beginSession } from './chargingSession.js';
+
+// How long shutdown may spend writing to Firestore before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
+let shuttingDown = false;
+
+/**
+ * Bring relays and in-progress transactions back in line after a restart.
+ * Every socket is forced OFF first, then sessions whose time is not yet up are
+ * powered back on with their watchdog and meter re-armed; expired sessions are completed.
+ * @returns {Promise<Object>} - { resumed, completed, failed }
+ */
+export async function reconcileSessions() {
+  const summary = { resumed: 0, completed: 0, failed: 0 };
+
+  // Relay state after a restart is unknown, so start from a de-energized station
+  turnOffAllSockets('boot');
+
+  const transactions = await TransactionModel.getInProgressTransactions();
+
+  for (const transaction of transactions) {
+    try {
+      const remaining = getRemainingSeconds(transaction);
+
+      if (remaining === null || remaining <= 0) {
+        await TransactionModel.completeTransaction(transaction.id, 'completed');
+        summary.completed++;
+        console.log(`🔁 Completed expired transaction ${transaction.id} (socket ${transaction.socketNumber})`);
+        continue;
+      }
+
+      beginSession(transaction.id, transaction.socketNumber, transaction.expectedEndTime, { reason: 'session-resume' });
+      summary.resumed++;
+      console.log(`🔁 Resumed transaction ${transaction.id} on socket ${transaction.socketNumber} (${remaining}s left)`);
+    } catch (err) {
+      summary.failed++;
+      console.error(`Failed to reconcile transaction ${transaction.id}:`, err);
+      try {
+        turnOffSocket(transaction.socketNumber, { transactionId: transaction.id, reason: 'recovery-failed' });
+      } catch (gpioErr) {
+        console.error(`Failed to turn off socket ${transaction.socketNumber}:`, gpioErr);
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * De-energize every socket and record the interruption on sessions that were running.
+ * @param {string} reason - Signal or error that triggered the shutdown
+ * @returns {Promise<void>}
+ */
+export async function shutdownSessions(reason) {
+  const sessions = getScheduledSessions();
+
+  // Power off before anything that can fail or hang
+  sessions.forEach(session => cancelSessionEnd(session.transactionId));
+  turnOffAllSockets('shutdown');
+  releaseAllSockets();
+
+  await Promise.allSettled([
+    stopAllMetering(),
+    ...sessions.map(session => TransactionModel.recordInterruption(session.transactionId, reason))
+  ]);
+}
+
+/**
+ * Install handlers so SIGINT, SIGTERM and fatal errors always leave the sockets OFF.
+ */
+export function installShutdownHandlers() {
+  const shutdown = (reason, exitCode) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 Shutting down (${reason}), turning off all sockets...`);
+
+    // Exit even if Firestore is unreachable
+    setTimeout(() => process.exit(exitCode), SHUTDOWN_TIMEOUT_MS).unref();
+
+    shutdownSessions(reason)
+      .catch(err => console.error('Error during shutdown:', err))
+      .finally(() => process.exit(exitCode));
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT', 0));
+  process.on('SIGTERM', () => shutdown('SIGTERM', 0));
+  process.on('uncaughtException', (err) => {
+    console.error('Uncaught exception:', err);
+    shutdown('uncaughtException', 1);
+  });
+  process.on('unhandledRejection', (err) => {
+    console.error('Unhandled rejection:', err);
+    shutdown('unhandledRejection', 1);
+  });
+}
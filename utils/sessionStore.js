@@ -0,0 +1,294 @@
+// utils/sessionStore.js
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import session from 'express-session';
+import { config } from './config.js';
+import { FirestoreSessionStore } from '../models/sessionStore.js';
+
+// Requests only extend an unchanged session this often, to spare disk and Firestore writes
+const TOUCH_INTERVAL_MS = 60 * 1000;
+// Expired sessions are removed this often
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Stable key for a session id. Backends and the admin list only ever see this hash,
+ * so a leaked store or listing cannot be replayed as a cookie.
+ * @param {string} sid - express-session id
+ * @returns {string}
+ */
+export function sessionKey(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex');
+}
+
+// The cookie expiry, or the configured lifetime for sessions without one
+function expiryOf(sess) {
+  const expires = sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires).getTime() : Date.now() + config.session.maxAgeMs;
+}
+
+/**
+ * Sessions in process memory; lost on restart. Development only.
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, { key, ...record });
+  }
+
+  async touch(key, expiresAt, lastSeenAt) {
+    const record = this.records.get(key);
+    if (record) Object.assign(record, { expiresAt, lastSeenAt });
+  }
+
+  async destroy(key) {
+    this.records.delete(key);
+  }
+
+  async all() {
+    const now = Date.now();
+    return [...this.records.values()].filter(record => record.expiresAt > now);
+  }
+
+  async sweep() {
+    const now = Date.now();
+    let removed = 0;
+    this.records.forEach((record, key) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+}
+
+/**
+ * One JSON file per session in a private directory. Suits a single station.
+ */
+export class FileSessionStore {
+  constructor(dir) {
+    this.dir = dir;
+    // Last pending write per session key
+    this.writes = new Map();
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+
+  // Writes to one session run one after another, so a touch never overwrites a newer set
+  serialize(key, write) {
+    const next = (this.writes.get(key) || Promise.resolve()).catch(() => {}).then(write);
+    this.writes.set(key, next);
+    const done = () => {
+      if (this.writes.get(key) === next) this.writes.delete(key);
+    };
+    next.then(done, done);
+    return next;
+  }
+
+  async write(key, record) {
+    // Write then rename so a crash never leaves a truncated session behind;
+    // the temp name is unique so concurrent writers never share a file
+    const tmp = `${this.file(key)}.${process.pid}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tmp, JSON.stringify(record), { mode: 0o600 });
+      await fs.promises.rename(tmp, this.file(key));
+    } catch (err) {
+      await fs.promises.rm(tmp, { force: true });
+      throw err;
+    }
+  }
+
+  file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return { key, ...JSON.parse(await fs.promises.readFile(this.file(key), 'utf8')) };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      // A half-written or corrupt file is treated as a signed-out session
+      if (err instanceof SyntaxError) return null;
+      throw err;
+    }
+  }
+
+  async set(key, record) {
+    await this.serialize(key, () => this.write(key, record));
+  }
+
+  async touch(key, expiresAt, lastSeenAt) {
+    await this.serialize(key, async () => {
+      const record = await this.get(key);
+      if (record) {
+        const { key: _key, ...rest } = record;
+        await this.write(key, { ...rest, expiresAt, lastSeenAt });
+      }
+    });
+  }
+
+  async destroy(key) {
+    await this.serialize(key, () => fs.promises.rm(this.file(key), { force: true }));
+  }
+
+  async keys() {
+    const files = await fs.promises.readdir(this.dir);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(key => KEY_PATTERN.test(key));
+  }
+
+  async all() {
+    const now = Date.now();
+    const records = await Promise.all((await this.keys()).map(key => this.get(key)));
+    return records.filter(record => record && record.expiresAt > now);
+  }
+
+  async sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const key of await this.keys()) {
+      const record = await this.get(key);
+      if (!record || record.expiresAt <= now) {
+        await this.destroy(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+// Run an async store call and report to an express-session callback
+function settle(promise, callback) {
+  promise.then(
+    value => callback && setImmediate(() => callback(null, value)),
+    err => callback && setImmediate(() => callback(err))
+  );
+}
+
+/**
+ * express-session store over one of the backends above. Besides the
+ * express-session interface it can list and revoke signed-in sessions.
+ */
+export class PersistentSessionStore extends session.Store {
+  constructor(backend) {
+    super();
+    this.backend = backend;
+    this.lastTouched = new Map();
+    // Revoked keys, so a request already in flight cannot save the session back
+    this.revoked = new Map();
+    setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  get(sid, callback) {
+    settle((async () => {
+      const record = await this.backend.get(sessionKey(sid));
+      return record && record.expiresAt > Date.now() ? record.session : null;
+    })(), callback);
+  }
+
+  set(sid, sess, callback) {
+    const now = Date.now();
+    if (this.revoked.has(sessionKey(sid))) return callback && callback();
+    this.lastTouched.set(sessionKey(sid), now);
+    settle(this.backend.set(sessionKey(sid), {
+      session: JSON.parse(JSON.stringify(sess)),
+      expiresAt: expiryOf(sess),
+      lastSeenAt: now
+    }), callback);
+  }
+
+  touch(sid, sess, callback) {
+    const key = sessionKey(sid);
+    const now = Date.now();
+    if (now - (this.lastTouched.get(key) || 0) < TOUCH_INTERVAL_MS) {
+      return callback && callback();
+    }
+    this.lastTouched.set(key, now);
+    settle(this.backend.touch(key, expiryOf(sess), now), callback);
+  }
+
+  destroy(sid, callback) {
+    this.lastTouched.delete(sessionKey(sid));
+    settle(this.backend.destroy(sessionKey(sid)), callback);
+  }
+
+  /**
+   * Remove expired sessions. Failures are logged; the next sweep tries again.
+   * @returns {Promise<number>} - How many were removed
+   */
+  async sweep() {
+    const cutoff = Date.now() - TOUCH_INTERVAL_MS;
+    this.lastTouched.forEach((touchedAt, key) => {
+      if (touchedAt < cutoff) this.lastTouched.delete(key);
+    });
+    this.revoked.forEach((revokedAt, key) => {
+      if (revokedAt < cutoff) this.revoked.delete(key);
+    });
+
+    try {
+      return await this.backend.sweep();
+    } catch (err) {
+      console.error('Session sweep failed:', err);
+      return 0;
+    }
+  }
+
+  /**
+   * Signed-in sessions, most recently active first
+   * @returns {Promise<Array>} - { id, userId, email, role, kiosk, signedInAt, lastSeenAt, expiresAt }
+   */
+  async listActive() {
+    const records = await this.backend.all();
+    return records
+      .filter(record => record.session.userId)
+      .map(({ key, session: sess, lastSeenAt, expiresAt }) => ({
+        id: key,
+        userId: sess.userId,
+        email: sess.email || null,
+        role: sess.role || 'user',
+        kiosk: Boolean(sess.kiosk),
+        signedInAt: sess.signedInAt || null,
+        lastSeenAt,
+        // Kiosk sessions end at their own, shorter deadline
+        expiresAt: sess.kiosk && sess.kioskExpiresAt ? Math.min(expiresAt, sess.kioskExpiresAt) : expiresAt
+      }))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+  }
+
+  /**
+   * Sign a session out by its listed id
+   * @param {string} id - Hashed session id from listActive()
+   * @returns {Promise<Object|null>} - { userId, email, role, kiosk } of the revoked session, null when there was none
+   */
+  async revoke(id) {
+    if (!KEY_PATTERN.test(id)) return null;
+    const record = await this.backend.get(id);
+    if (!record) return null;
+    this.revoked.set(id, Date.now());
+    await this.backend.destroy(id);
+    this.lastTouched.delete(id);
+    const { userId = null, email = null, role = 'user', kiosk = false } = record.session;
+    return { userId, email, role, kiosk: Boolean(kiosk) };
+  }
+}
+
+function createBackend() {
+  if (config.session.store === 'firestore') return new FirestoreSessionStore();
+  if (config.session.store === 'memory') return new MemorySessionStore();
+  return new FileSessionStore(config.session.dir);
+}
+
+// Chosen once at boot from SESSION_STORE
+export const sessionStore = new PersistentSessionStore(createBackend());
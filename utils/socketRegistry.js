@@ -0,0 +1,113 @@
+// utils/socketRegistry.js
+
+import fs from 'fs';
+import { config as appConfig } from './config.js';
+
+// Socket definitions live in config/sockets.json unless SOCKETS_CONFIG points elsewhere
+const configPath = appConfig.configFiles.sockets;
+
+export const SOCKET_TYPES = ['universal', 'own'];
+
+/**
+ * Validate raw socket definitions and return normalized copies.
+ * Collects every problem so a misconfigured station can be fixed in one pass.
+ * @param {Array} rawSockets - Socket entries from the config file
+ * @returns {Array<Object>} - { id, label, type, gpioLine, activeLow, enabled }
+ */
+export function validateSocketConfig(rawSockets) {
+  const errors = [];
+
+  if (!Array.isArray(rawSockets) || rawSockets.length === 0) {
+    throw new Error('"sockets" must be a non-empty array');
+  }
+
+  const seenIds = new Set();
+  const seenLines = new Set();
+
+  const sockets = rawSockets.map((raw, index) => {
+    const where = `sockets[${index}]`;
+    const socket = {
+      id: raw.id,
+      label: typeof raw.label === 'string' ? raw.label.trim() : raw.label,
+      type: raw.type,
+      gpioLine: raw.gpioLine,
+      activeLow: raw.activeLow === undefined ? false : raw.activeLow,
+      enabled: raw.enabled === undefined ? true : raw.enabled
+    };
+
+    if (!Number.isInteger(socket.id) || socket.id < 1) {
+      errors.push(`${where}.id must be a positive integer`);
+    } else if (seenIds.has(socket.id)) {
+      errors.push(`${where}.id ${socket.id} is used by more than one socket`);
+    } else {
+      seenIds.add(socket.id);
+    }
+
+    if (typeof socket.label !== 'string' || !socket.label) {
+      errors.push(`${where}.label must be a non-empty string`);
+    }
+
+    if (!SOCKET_TYPES.includes(socket.type)) {
+      errors.push(`${where}.type must be one of: ${SOCKET_TYPES.join(', ')}`);
+    }
+
+    if (!Number.isInteger(socket.gpioLine) || socket.gpioLine < 0) {
+      errors.push(`${where}.gpioLine must be a non-negative integer`);
+    } else if (seenLines.has(socket.gpioLine)) {
+      errors.push(`${where}.gpioLine ${socket.gpioLine} is wired to more than one socket`);
+    } else {
+      seenLines.add(socket.gpioLine);
+    }
+
+    if (typeof socket.activeLow !== 'boolean') {
+      errors.push(`${where}.activeLow must be true or false`);
+    }
+
+    if (typeof socket.enabled !== 'boolean') {
+      errors.push(`${where}.enabled must be true or false`);
+    }
+
+    return socket;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return sockets;
+}
+
+function loadSockets() {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read socket config at ${configPath}: ${err.message}`);
+  }
+
+  try {
+    return validateSocketConfig(parsed.sockets);
+  } catch (err) {
+    throw new Error(`Invalid socket config at ${configPath}:\n${err.message}`);
+  }
+}
+
+// Loaded and validated once at boot; a bad config stops the server from starting
+const sockets = loadSockets();
+const socketsById = new Map(sockets.map(socket => [socket.id, socket]));
+
+// Every configured socket, enabled or not
+export function getSockets() {
+  return sockets.map(socket => ({ ...socket }));
+}
+
+// Sockets students may start sessions on
+export function getEnabledSockets() {
+  return getSockets().filter(socket => socket.enabled);
+}
+
+// Look up one socket by id (accepts numeric strings from request bodies)
+export function getSocket(socketId) {
+  const socket = socketsById.get(Number(socketId));
+  return socket ? { ...socket } : null;
+}
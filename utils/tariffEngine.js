@@ -0,0 +1,202 @@
+// utils/tariffEngine.js
+
+import fs from 'fs';
+import { config as appConfig } from './config.js';
+import { SOCKET_TYPES } from './socketRegistry.js';
+import { campusParts } from './campusTime.js';
+
+// Tariffs live in config/tariffs.json unless TARIFFS_CONFIG points elsewhere
+const configPath = appConfig.configFiles.tariffs;
+
+// Rate used by transactions created before tariffs were snapshotted
+export const LEGACY_SECONDS_PER_POINT = 120;
+
+export class TariffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TariffError';
+  }
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Validate a raw tariff config and return a normalized copy.
+ * Every socket type must have a rate for the default period and every named period.
+ * @param {Object} raw - Parsed tariffs.json
+ * @returns {Object} - { defaultPeriod, periods, rates }
+ */
+export function validateTariffConfig(raw) {
+  const errors = [];
+  const config = raw || {};
+
+  if (typeof config.defaultPeriod !== 'string' || !config.defaultPeriod) {
+    errors.push('defaultPeriod must be a non-empty string');
+  }
+
+  const periods = Array.isArray(config.periods) ? config.periods : [];
+  if (config.periods !== undefined && !Array.isArray(config.periods)) {
+    errors.push('periods must be an array');
+  }
+
+  periods.forEach((period, index) => {
+    const where = `periods[${index}]`;
+    if (typeof period.name !== 'string' || !period.name) {
+      errors.push(`${where}.name must be a non-empty string`);
+    } else if (period.name === config.defaultPeriod) {
+      errors.push(`${where}.name cannot be the defaultPeriod`);
+    }
+    if (!Array.isArray(period.days) || period.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push(`${where}.days must be a list of weekdays 0 (Sun) to 6 (Sat)`);
+    }
+    if (!TIME_PATTERN.test(period.start || '') || !TIME_PATTERN.test(period.end || '')) {
+      errors.push(`${where}.start and .end must be HH:MM`);
+    } else if (toMinutes(period.start) >= toMinutes(period.end)) {
+      errors.push(`${where}.start must be before .end`);
+    }
+  });
+
+  const periodNames = [config.defaultPeriod, ...periods.map(period => period.name)];
+
+  SOCKET_TYPES.forEach((socketType) => {
+    const typeRates = config.rates?.[socketType];
+    if (!typeRates) {
+      errors.push(`rates.${socketType} is missing`);
+      return;
+    }
+
+    periodNames.forEach((periodName) => {
+      const where = `rates.${socketType}.${periodName}`;
+      const rate = typeRates[periodName];
+      if (!rate) {
+        errors.push(`${where} is missing`);
+        return;
+      }
+      if (!Number.isInteger(rate.secondsPerPoint) || rate.secondsPerPoint < 1) {
+        errors.push(`${where}.secondsPerPoint must be a positive integer`);
+      }
+      if (!Number.isInteger(rate.minSeconds) || rate.minSeconds < 0) {
+        errors.push(`${where}.minSeconds must be a non-negative integer`);
+      }
+      if (!Number.isInteger(rate.maxSeconds) || rate.maxSeconds < rate.minSeconds) {
+        errors.push(`${where}.maxSeconds must be an integer no smaller than minSeconds`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return { defaultPeriod: config.defaultPeriod, periods, rates: config.rates };
+}
+
+function loadTariffs() {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read tariff config at ${configPath}: ${err.message}`);
+  }
+
+  try {
+    return validateTariffConfig(parsed);
+  } catch (err) {
+    throw new Error(`Invalid tariff config at ${configPath}:\n${err.message}`);
+  }
+}
+
+// Loaded and validated once at boot
+const tariffs = loadTariffs();
+
+// Name of the period in effect at a given moment on the campus clock
+function periodAt(at) {
+  const { weekday, hour, minute } = campusParts(at);
+  const minutes = hour * 60 + minute;
+  const period = tariffs.periods.find(p =>
+    p.days.includes(weekday) && minutes >= toMinutes(p.start) && minutes < toMinutes(p.end)
+  );
+  return period ? period.name : tariffs.defaultPeriod;
+}
+
+/**
+ * Pick the tariff for a socket type at a given moment.
+ * The returned object is a self-contained snapshot meant to be stored on the transaction.
+ * @param {string} socketType - Registry socket type ("universal" or "own")
+ * @param {Date} at - When the session starts (defaults to now)
+ * @returns {Object} - { id, socketType, period, secondsPerPoint, minSeconds, maxSeconds }
+ */
+export function resolveTariff(socketType, at = new Date()) {
+  const typeRates = tariffs.rates[socketType];
+  if (!typeRates) {
+    throw new TariffError(`No tariff configured for socket type "${socketType}"`);
+  }
+
+  const period = periodAt(at);
+  const rate = typeRates[period];
+
+  return {
+    id: `${socketType}:${period}`,
+    socketType,
+    period,
+    secondsPerPoint: rate.secondsPerPoint,
+    minSeconds: rate.minSeconds,
+    maxSeconds: rate.maxSeconds
+  };
+}
+
+/**
+ * Fewest and most points a session may spend under a tariff
+ * @param {Object} tariff - Tariff snapshot
+ * @returns {Object} - { minPoints, maxPoints }
+ */
+export function pointLimits(tariff) {
+  return {
+    minPoints: Math.max(1, Math.ceil(tariff.minSeconds / tariff.secondsPerPoint)),
+    maxPoints: Math.floor(tariff.maxSeconds / tariff.secondsPerPoint)
+  };
+}
+
+/**
+ * Convert points into charging time, enforcing the tariff's session length limits
+ * @param {Object} tariff - Tariff snapshot
+ * @param {number} points - Points the student wants to spend
+ * @returns {number} - Session length in seconds
+ */
+export function quoteDuration(tariff, points) {
+  if (!Number.isInteger(points) || points < 1) {
+    throw new TariffError('Points to spend must be a positive whole number');
+  }
+
+  const { minPoints, maxPoints } = pointLimits(tariff);
+  if (points < minPoints) {
+    throw new TariffError(`Minimum session is ${minPoints} point(s) at the current rate`);
+  }
+  if (points > maxPoints) {
+    throw new TariffError(`Maximum session is ${maxPoints} point(s) at the current rate`);
+  }
+
+  return points * tariff.secondsPerPoint;
+}
+
+/**
+ * Split a session's points into used and refundable, based on time actually charged.
+ * Uses the tariff snapshotted on the transaction so later rate changes do not apply.
+ * @param {Object|null} tariff - Tariff snapshot (null for legacy transactions)
+ * @param {number} pointsUsed - Points paid when the session started
+ * @param {number} elapsedSeconds - How long the socket was on
+ * @returns {Object} - { usedPoints, refundPoints }
+ */
+export function computeRefund(tariff, pointsUsed, elapsedSeconds) {
+  const secondsPerPoint = tariff?.secondsPerPoint || LEGACY_SECONDS_PER_POINT;
+  const expectedDuration = pointsUsed * secondsPerPoint;
+  const usedDuration = Math.min(Math.max(0, elapsedSeconds), expectedDuration);
+  const usedPoints = Math.ceil(usedDuration / secondsPerPoint);
+
+  return { usedPoints, refundPoints: pointsUsed - usedPoints };
+}